@@ -1,3 +1,6 @@
+import { formatInfo, formats } from "../../src/formats.js";
+import { formatWarning } from "../../src/warnings.js";
+
 // Pandoc loading - starts immediately in background, but doesn't block UI
 let pandocReadyPromise = null;
 let onFormatsLoaded = null; // Callback to update Vue app when formats load
@@ -7,12 +10,13 @@ function loadPandoc() {
   if (pandocReadyPromise) return pandocReadyPromise;
 
   pandocReadyPromise = (async () => {
-    // Load pandoc via pandoc-wasm core
-    const { createPandocInstance } = await import("../../src/core.js");
-    const response = await fetch('./pandoc.wasm');
-    const wasmBinary = await response.arrayBuffer();
-    const { convert, query } = await createPandocInstance(wasmBinary);
-    window.pandocModule = { convert, query };
+    // Load pandoc in a Web Worker, so conversions don't freeze the page
+    const { createWorkerProxy } = await import("../../src/worker-proxy.browser.js");
+    const { convert, query, capabilities } = await createWorkerProxy({
+      wasm: './pandoc.wasm',
+      worker: () => new Worker('./worker.js', { type: 'module' })
+    });
+    window.pandocModule = { convert, query, capabilities };
 
     // Query version and formats
     const pandocVersion = await query({ query: "version" });
@@ -281,29 +285,9 @@ window.pandocApp = function() {
       'typ': 'typst', 'typst': 'typst', 'pptx': 'pptx'
     },
 
-    extensionByFormat: {
-      'html': 'html', 'html5': 'html', 'html4': 'html', 'chunkedhtml': 'zip',
-      'markdown': 'md', 'markdown_strict': 'md', 'markdown_mmd': 'md', 'markdown_phpextra': 'md',
-      'gfm': 'md', 'commonmark': 'md', 'commonmark_x': 'md',
-      'latex': 'tex', 'beamer': 'tex', 'context': 'tex',
-      'pdf': 'pdf', 'docx': 'docx', 'odt': 'odt',
-      'epub': 'epub', 'epub2': 'epub', 'epub3': 'epub',
-      'rst': 'rst', 'org': 'org', 'plain': 'txt',
-      'json': 'json', 'native': 'native',
-      'docbook': 'xml', 'docbook4': 'xml', 'docbook5': 'xml',
-      'jats': 'xml', 'tei': 'xml', 'man': '1', 'rtf': 'rtf',
-      'textile': 'textile', 'mediawiki': 'wiki',
-      'asciidoc': 'adoc', 'asciidoctor': 'adoc', 'asciidoc_legacy': 'adoc',
-      'revealjs': 'html', 'slidy': 'html', 'slideous': 'html', 'dzslides': 'html', 's5': 'html',
-      'ipynb': 'ipynb', 'typst': 'typ', 'texinfo': 'texi', 'ms': 'ms', 'icml': 'icml',
-      'opml': 'opml', 'bibtex': 'bib', 'biblatex': 'bib', 'csljson': 'json',
-      'pptx': 'pptx', 'djot': 'dj', 'fb2': 'fb2', 'opendocument': 'xml', 'vimdoc': 'txt'
-    },
-
     slideFormats: ['revealjs', 'slidy', 'slideous', 'dzslides', 's5', 'beamer', 'pptx'],
     htmlFormats: ['html', 'html4', 'html5', 'revealjs', 'slidy', 'slideous', 'dzslides', 's5', 'epub', 'epub2', 'epub3', 'chunkedhtml'],
     docFormats: ['docx', 'odt', 'pptx'],
-    binaryFormats: ['docx', 'odt', 'pptx', 'epub', 'epub2', 'epub3', 'pdf', 'chunkedhtml'],
     markdownFormats: ['markdown', 'markdown_strict', 'markdown_mmd', 'markdown_phpextra', 'gfm', 'commonmark', 'commonmark_x'],
     captionPositionFormats: ['html', 'html4', 'html5', 'latex', 'beamer', 'docx', 'odt', 'typst', 'pdf'],
     asciiFormats: ['html', 'html4', 'html5', 'markdown', 'markdown_strict', 'markdown_mmd', 'markdown_phpextra', 'gfm', 'commonmark', 'commonmark_x', 'docbook', 'docbook4', 'docbook5', 'jats', 'man', 'ms', 'latex', 'beamer'],
@@ -382,7 +366,7 @@ window.pandocApp = function() {
 
     get outputFilenamePlaceholder() {
       if (this.outputFormat !== 'auto') {
-        const outExt = this.extensionByFormat[this.outputFormat] || this.outputFormat;
+        const outExt = formats[this.outputFormat]?.extension || this.outputFormat;
         if (this.fileOrder.length > 0) {
           const baseName = this.fileOrder[0].replace(/\.[^.]+$/, '');
           return `${baseName}.${outExt}`;
@@ -399,7 +383,7 @@ window.pandocApp = function() {
     get supportsAscii() { return this.asciiFormats.includes(this.effectiveOutputFormat); },
     get supportsTopLevelDivision() { return this.topLevelDivisionFormats.includes(this.effectiveOutputFormat); },
     get supportsListOf() { return this.listOfFormats.includes(this.effectiveOutputFormat); },
-    get isBinaryOutput() { return this.binaryFormats.includes(this.effectiveOutputFormat); },
+    get isBinaryOutput() { return formats[this.effectiveOutputFormat]?.binary ?? false; },
     get filteredMessages() {
       if (this.verbosity === 'error') {
         return this.messages.filter(m => m.type === 'error');
@@ -715,9 +699,15 @@ window.pandocApp = function() {
       this.inputExtensionsList = [];
       this.outputExtensionsList = [];
 
+      // Extensions of all formats, queried once and cached
+      let extensions = {};
+      try {
+        ({ extensions } = await window.pandocModule.capabilities());
+      } catch (e) { console.warn('Could not get extensions:', e); }
+
       if (this.inputFormat !== 'auto') {
         try {
-          const extData = await window.pandocModule.query({ query: "extensions-for-format", format: this.inputFormat });
+          const extData = extensions[this.inputFormat];
           this.inputExtensionsList = Object.entries(extData)
             .map(([name, defaultOn]) => ({ name, defaultOn }))
             .sort((a, b) => a.name.localeCompare(b.name));
@@ -727,7 +717,7 @@ window.pandocApp = function() {
       const outFmt = this.outputFormat === 'pdf' ? 'typst' : this.outputFormat;
       if (outFmt !== 'auto') {
         try {
-          const extData = await window.pandocModule.query({ query: "extensions-for-format", format: outFmt});
+          const extData = extensions[outFmt];
           this.outputExtensionsList = Object.entries(extData)
             .map(([name, defaultOn]) => ({ name, defaultOn }))
             .sort((a, b) => a.name.localeCompare(b.name));
@@ -789,7 +779,7 @@ window.pandocApp = function() {
       let finalOutFile = this.outputFilename.trim() || this.outputFilenamePlaceholder;
       if (!finalOutFile || finalOutFile === '(preview)') {
         const effectiveFmt = this.effectiveOutputFormat || 'html';
-        const defaultExt = this.extensionByFormat[effectiveFmt] || 'html';
+        const defaultExt = formats[effectiveFmt]?.extension || 'html';
         finalOutFile = `output.${defaultExt}`;
       }
       opts['output-file'] = finalOutFile;
@@ -1031,9 +1021,6 @@ window.pandocApp = function() {
           delete typstOptions['output-file'];
 
           const typstResult = await window.pandocModule.convert(typstOptions, stdin, files);
-          if (typstResult.stderr && typstResult.stderr.includes('ERROR')) {
-            throw new Error(typstResult.stderr);
-          }
 
           const typstContent = typstResult.stdout;
           let pdfData;
@@ -1069,7 +1056,16 @@ window.pandocApp = function() {
         }
       } catch (err) {
         this.showOutput = true;
-        this.messages.push({ type: 'error', text: `Conversion failed: ${err.message}` });
+        // Failed pandoc conversions are rejected with a PandocError
+        if (err.name === 'PandocError') {
+          (err.warnings || []).forEach(w => {
+            this.messages.push({ type: 'warning', text: formatWarning(w) });
+          });
+          const where = err.position ? ` (${err.position.source}, line ${err.position.line})` : '';
+          this.messages.push({ type: 'error', text: `Pandoc error ${err.exitCode}${where}: ${err.message}` });
+        } else {
+          this.messages.push({ type: 'error', text: `Conversion failed: ${err.message}` });
+        }
       } finally {
         this.isConverting = false;
       }
@@ -1081,16 +1077,11 @@ window.pandocApp = function() {
       if (result.warnings && result.warnings.length > 0) {
         result.warnings.forEach(w => {
           const msgType = w.verbosity === 'INFO' ? 'info' : 'warning';
-          this.messages.push({ type: msgType, text: w.pretty || w.message || JSON.stringify(w) });
+          this.messages.push({ type: msgType, text: formatWarning(w) });
         });
       }
 
-      if (result.stderr && result.stderr.includes('ERROR')) {
-        this.messages.push({ type: 'error', text: result.stderr });
-        return;
-      }
-
-      const isBinary = this.binaryFormats.includes(options.to);
+      const isBinary = formatInfo(options.to)?.binary ?? false;
 
       if (this.output) {
         // Already set (e.g., pdf via typst)
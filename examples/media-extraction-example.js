@@ -14,7 +14,7 @@
  * - Making it easy to iterate and process extracted media
  */
 
-import {convert} from "../index.js"
+import {convert, formatWarning} from "../index.js"
 
 console.log("Media Extraction Example\n")
 console.log("=".repeat(70))
@@ -472,7 +472,7 @@ Details about our REST API...
     if (result.warnings.length > 0) {
         console.log("\n⚠️  Warnings:")
         for (const warning of result.warnings) {
-            console.log(`  - ${warning.pretty || warning.type}`)
+            console.log(`  - ${formatWarning(warning)}`)
         }
     }
 
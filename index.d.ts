@@ -0,0 +1,746 @@
+// TypeScript declarations for pandoc-wasm
+
+import type {PandocPosition, PandocWarning} from "./src/warnings.js"
+
+export type {
+    PandocPosition,
+    PandocVerbosity,
+    PandocWarning
+} from "./src/warnings.js"
+export {formatWarning} from "./src/warnings.js"
+
+// Formats
+
+/** Formats pandoc can read (`query({query: "input-formats"})`) */
+export type InputFormat =
+    | "asciidoc"
+    | "biblatex"
+    | "bibtex"
+    | "bits"
+    | "commonmark"
+    | "commonmark_x"
+    | "creole"
+    | "csljson"
+    | "csv"
+    | "djot"
+    | "docbook"
+    | "docx"
+    | "dokuwiki"
+    | "endnotexml"
+    | "epub"
+    | "fb2"
+    | "gfm"
+    | "haddock"
+    | "html"
+    | "ipynb"
+    | "jats"
+    | "jira"
+    | "json"
+    | "latex"
+    | "man"
+    | "markdown"
+    | "markdown_github"
+    | "markdown_mmd"
+    | "markdown_phpextra"
+    | "markdown_strict"
+    | "mdoc"
+    | "mediawiki"
+    | "muse"
+    | "native"
+    | "odt"
+    | "opml"
+    | "org"
+    | "pod"
+    | "pptx"
+    | "ris"
+    | "rst"
+    | "rtf"
+    | "t2t"
+    | "textile"
+    | "tikiwiki"
+    | "tsv"
+    | "twiki"
+    | "typst"
+    | "vimwiki"
+    | "xlsx"
+    | "xml"
+
+/** Formats pandoc can write (`query({query: "output-formats"})`) */
+export type OutputFormat =
+    | "ansi"
+    | "asciidoc"
+    | "asciidoc_legacy"
+    | "asciidoctor"
+    | "bbcode"
+    | "bbcode_fluxbb"
+    | "bbcode_hubzilla"
+    | "bbcode_phpbb"
+    | "bbcode_steam"
+    | "bbcode_xenforo"
+    | "beamer"
+    | "biblatex"
+    | "bibtex"
+    | "chunkedhtml"
+    | "commonmark"
+    | "commonmark_x"
+    | "context"
+    | "csljson"
+    | "djot"
+    | "docbook"
+    | "docbook4"
+    | "docbook5"
+    | "docx"
+    | "dokuwiki"
+    | "dzslides"
+    | "epub"
+    | "epub2"
+    | "epub3"
+    | "fb2"
+    | "gfm"
+    | "haddock"
+    | "html"
+    | "html4"
+    | "html5"
+    | "icml"
+    | "ipynb"
+    | "jats"
+    | "jats_archiving"
+    | "jats_articleauthoring"
+    | "jats_publishing"
+    | "jira"
+    | "json"
+    | "latex"
+    | "man"
+    | "markdown"
+    | "markdown_github"
+    | "markdown_mmd"
+    | "markdown_phpextra"
+    | "markdown_strict"
+    | "markua"
+    | "mediawiki"
+    | "ms"
+    | "muse"
+    | "native"
+    | "odt"
+    | "opendocument"
+    | "opml"
+    | "org"
+    | "pdf"
+    | "plain"
+    | "pptx"
+    | "revealjs"
+    | "rst"
+    | "rtf"
+    | "s5"
+    | "slideous"
+    | "slidy"
+    | "tei"
+    | "texinfo"
+    | "textile"
+    | "typst"
+    | "vimdoc"
+    | "xml"
+    | "xwiki"
+    | "zimwiki"
+
+/** Output formats that are returned as a Blob when written to stdout */
+export type BinaryOutputFormat =
+    | "chunkedhtml"
+    | "docx"
+    | "epub"
+    | "epub2"
+    | "epub3"
+    | "odt"
+    | "pdf"
+    | "pptx"
+
+/**
+ * A format, optionally with extensions enabled (`+`) or disabled (`-`),
+ * e.g. `"markdown+smart-citations"`
+ */
+export type FormatWithExtensions<F extends string> =
+    | F
+    | `${F}+${string}`
+    | `${F}-${string}`
+
+/** A custom reader or writer written in Lua */
+export type CustomFormat = `${string}.lua`
+
+// Options
+
+/** A Lua or JSON filter, or citeproc */
+export type Filter =
+    | string
+    | {type: "lua" | "json"; path: string}
+    | {type: "citeproc"}
+
+/** How math is rendered in HTML output */
+export type HTMLMathMethod =
+    | "plain"
+    | "webtex"
+    | "gladtex"
+    | "mathml"
+    | "mathjax"
+    | "katex"
+    | {
+          method:
+              | "plain"
+              | "webtex"
+              | "gladtex"
+              | "mathml"
+              | "mathjax"
+              | "katex"
+          url?: string
+      }
+
+/** A metadata or variable value, as in a YAML metadata block */
+export type MetaValue =
+    | string
+    | number
+    | boolean
+    | null
+    | MetaValue[]
+    | {[key: string]: MetaValue}
+
+/**
+ * Options of a conversion, using the keys and values of pandoc's defaults
+ * files (see "Defaults files" in the pandoc manual)
+ */
+export interface PandocOptions {
+    // General options
+    from?: FormatWithExtensions<InputFormat> | CustomFormat
+    reader?: FormatWithExtensions<InputFormat> | CustomFormat
+    to?: FormatWithExtensions<OutputFormat> | CustomFormat
+    writer?: FormatWithExtensions<OutputFormat> | CustomFormat
+    "output-file"?: string | null
+    "input-file"?: string
+    "input-files"?: string[]
+    "data-dir"?: string
+    /**
+     * Defaults files (YAML) to read from the files of the conversion. They
+     * are applied before the other options.
+     */
+    defaults?: string | string[]
+    verbosity?: "ERROR" | "WARNING" | "INFO"
+    "fail-if-warnings"?: boolean
+    "log-file"?: string
+    sandbox?: boolean
+    trace?: boolean
+
+    // Reader options
+    "shift-heading-level-by"?: number
+    "base-header-level"?: number
+    "indented-code-classes"?: string[]
+    "default-image-extension"?: string
+    "file-scope"?: boolean
+    filters?: Filter[]
+    metadata?: Record<string, MetaValue>
+    "metadata-file"?: string
+    "metadata-files"?: string[]
+    "preserve-tabs"?: boolean
+    "tab-stop"?: number
+    "track-changes"?: "accept" | "reject" | "all"
+    "extract-media"?: string
+    abbreviations?: string
+
+    // General writer options
+    standalone?: boolean
+    template?: string
+    variables?: Record<string, MetaValue>
+    eol?: "crlf" | "lf" | "native"
+    dpi?: number
+    wrap?: "auto" | "none" | "preserve"
+    columns?: number
+    "table-of-contents"?: boolean
+    toc?: boolean
+    "toc-depth"?: number
+    "list-of-figures"?: boolean
+    lof?: boolean
+    "list-of-tables"?: boolean
+    lot?: boolean
+    "strip-comments"?: boolean
+    "highlight-style"?: string
+    "syntax-highlighting"?: "none" | "default" | "idiomatic" | (string & {})
+    "syntax-definitions"?: string[]
+    "include-in-header"?: string[]
+    "include-before-body"?: string[]
+    "include-after-body"?: string[]
+    "resource-path"?: string[]
+    "request-headers"?: [string, string][]
+    "no-check-certificate"?: boolean
+
+    // Options affecting specific writers
+    "self-contained"?: boolean
+    "embed-resources"?: boolean
+    "link-images"?: boolean
+    "html-q-tags"?: boolean
+    ascii?: boolean
+    "reference-links"?: boolean
+    "reference-location"?: "block" | "section" | "document"
+    "figure-caption-position"?: "above" | "below"
+    "table-caption-position"?: "above" | "below"
+    "markdown-headings"?: "setext" | "atx"
+    "list-tables"?: boolean
+    "top-level-division"?: "default" | "section" | "chapter" | "part"
+    "number-sections"?: boolean
+    "number-offset"?: number[]
+    listings?: boolean
+    incremental?: boolean
+    "slide-level"?: number
+    "section-divs"?: boolean
+    "email-obfuscation"?: "none" | "javascript" | "references"
+    "identifier-prefix"?: string
+    "title-prefix"?: string
+    css?: string[]
+    "reference-doc"?: string
+    "split-level"?: number
+    "epub-chapter-level"?: number
+    "chunk-template"?: string
+    "epub-subdirectory"?: string
+    "epub-cover-image"?: string
+    "epub-title-page"?: boolean
+    "epub-metadata"?: string
+    "epub-fonts"?: string[]
+    "ipynb-output"?: "all" | "none" | "best"
+    "pdf-engine"?: string
+    "pdf-engine-opts"?: string[]
+
+    // Citation rendering
+    citeproc?: boolean
+    bibliography?: string | string[]
+    csl?: string
+    "citation-abbreviations"?: string
+    "cite-method"?: "citeproc" | "natbib" | "biblatex"
+
+    // Math rendering in HTML
+    "html-math-method"?: HTMLMathMethod
+}
+
+// Files
+
+/** The contents of a file: text or bytes, possibly still to be read */
+export type FileValue =
+    | string
+    | Blob
+    | ArrayBuffer
+    | ArrayBufferView
+    | Response
+    | ReadableStream<Uint8Array>
+    | AsyncIterable<Uint8Array | string>
+
+/** Files by path, e.g. `{"images/logo.png": blob}` */
+export type Files = Record<string, FileValue>
+
+/**
+ * A storage backend for the `mounts` call option. Files with the same
+ * `version` as in the previous conversion are not read again.
+ */
+export interface StorageBackend {
+    list(): Promise<{path: string; version?: unknown}[]>
+    read(path: string): Promise<FileValue>
+    write(path: string, bytes: Uint8Array): Promise<void>
+    remove(path: string): Promise<void>
+}
+
+/** A directory or store made available to pandoc with `mounts` */
+export type Mount =
+    | string
+    | URL
+    | {path: string | URL; readonly?: boolean}
+    | {opfs: FileSystemDirectoryHandle; readonly?: boolean}
+    | {indexedDB: string; store?: string; readonly?: boolean}
+    | {storage: StorageBackend; readonly?: boolean}
+
+// Calls
+
+/** A line the WASM program wrote to its stdout or stderr */
+export interface LogLine {
+    stream: "stdout" | "stderr"
+    text: string
+}
+
+/** Callbacks for the output of pandoc */
+export interface OutputOptions {
+    /** Called with each line written to stdout, e.g. by Lua's print() */
+    onStdout?: (line: string) => void
+    /** Called with each line written to stderr */
+    onStderr?: (line: string) => void
+    /** Called with each log message after a conversion */
+    onLog?: (warning: PandocWarning) => void
+    /** Don't write output without a callback to the console */
+    silent?: boolean
+    /** Reject conversions with invalid options before pandoc runs */
+    strict?: boolean
+}
+
+/** Options for a single call */
+export interface CallOptions extends OutputOptions {
+    /** Cancels the call when aborted */
+    signal?: AbortSignal
+    /** Cancels the call after this many milliseconds */
+    timeoutMs?: number
+    /** Reject with a PandocError when pandoc fails (default true) */
+    throwOnError?: boolean
+    /** Directories or stores available to pandoc, by path */
+    mounts?: Record<string, Mount>
+    /** Provides the files pandoc looks for that don't exist */
+    resolveFile?: (
+        path: string
+    ) => FileValue | null | undefined | Promise<FileValue | null | undefined>
+    /** Downloads the remote resources pandoc needs */
+    fetch?: (
+        url: string
+    ) => FileValue | null | undefined | Promise<FileValue | null | undefined>
+}
+
+/**
+ * Options for calls to an instance in a worker: functions can't be passed
+ * to workers
+ */
+export interface WorkerCallOptions {
+    signal?: AbortSignal
+    timeoutMs?: number
+    throwOnError?: boolean
+    mounts?: Record<string, Exclude<Mount, {storage: StorageBackend}>>
+    silent?: boolean
+    strict?: boolean
+}
+
+/** Options to cancel a query or validation in a pool or worker */
+export type CancelOptions = Pick<WorkerCallOptions, "signal" | "timeoutMs">
+
+/**
+ * The type of `stdout` for a conversion with `options`: binary formats
+ * (given as `to` or `writer`) are a Blob, unless they are written to an
+ * `output-file`
+ */
+export type Stdout<O extends PandocOptions> = O extends {"output-file": string}
+    ? string
+    : O extends
+            | {to: FormatWithExtensions<BinaryOutputFormat>}
+            | {writer: FormatWithExtensions<BinaryOutputFormat>}
+      ? Blob
+      : O extends
+              | {to: FormatWithExtensions<OutputFormat>}
+              | {writer: FormatWithExtensions<OutputFormat>}
+        ? string
+        : string | Blob
+
+/** The result of a conversion */
+export interface ConvertResult<O extends PandocOptions = PandocOptions> {
+    /**
+     * The output written to stdout. Binary formats without an
+     * `output-file`, and output that isn't valid UTF-8, are a Blob.
+     */
+    stdout: Stdout<O>
+    /** The raw bytes of the output written to stdout */
+    stdoutBytes: Uint8Array
+    stderr: string
+    warnings: PandocWarning[]
+    logs: LogLine[]
+    /** The input files and the files pandoc wrote */
+    files: Record<string, FileValue>
+    /** The files pandoc created, such as extracted media */
+    mediaFiles: Record<string, Blob>
+    /** The exit code native pandoc would have used, 0 on success */
+    exitCode: number
+    ok: boolean
+}
+
+/** The error a failed conversion is rejected with */
+export class PandocError extends Error {
+    constructor(
+        message: string,
+        details?: Partial<
+            Pick<
+                PandocError,
+                | "exitCode"
+                | "category"
+                | "position"
+                | "stdout"
+                | "stdoutBytes"
+                | "stderr"
+                | "warnings"
+                | "logs"
+                | "optionErrors"
+            >
+        >
+    )
+    name: "PandocError"
+    /** The exit code native pandoc would have used */
+    exitCode: number
+    /** The name of pandoc's error type, e.g. `"PandocParseError"` */
+    category: string
+    /** Where in the input the error is, if pandoc reports it */
+    position: PandocPosition | null
+    stdout: string | Blob
+    stdoutBytes: Uint8Array
+    stderr: string
+    warnings: PandocWarning[]
+    logs: LogLine[]
+    /** The problems found in the options, in strict mode */
+    optionErrors: OptionError[]
+}
+
+/** A problem found by validateOptions() */
+export interface OptionError {
+    /** The option, or null if the options aren't an object */
+    key: string | null
+    message: string
+    /** The name that was probably meant, for misspelled names */
+    suggestion: string | null
+}
+
+/** Check options before converting. Resolves to the problems found. */
+export type ValidateOptionsFunction<C = never> = (
+    options: Record<string, unknown>,
+    callOptions?: C
+) => Promise<OptionError[]>
+
+// Queries
+
+export interface QueryResults {
+    version: string
+    "input-formats": InputFormat[]
+    "output-formats": OutputFormat[]
+    "highlight-styles": string[]
+    "highlight-languages": string[]
+    "default-template": string
+    "extensions-for-format": Record<string, boolean>
+}
+
+/** Queries that need a `format` */
+export type FormatQuery = "default-template" | "extensions-for-format"
+
+export type QueryOptions<Q extends keyof QueryResults = keyof QueryResults> =
+    Q extends FormatQuery
+        ? {
+              query: Q
+              format: FormatWithExtensions<InputFormat | OutputFormat>
+          }
+        : {query: Q}
+
+export interface QueryFunction<C = never> {
+    <Q extends keyof QueryResults>(
+        options: QueryOptions<Q>,
+        callOptions?: C
+    ): Promise<QueryResults[Q]>
+}
+
+/** Everything pandoc supports, see `capabilities()` */
+export interface Capabilities {
+    readonly version: string
+    readonly inputFormats: readonly InputFormat[]
+    readonly outputFormats: readonly OutputFormat[]
+    /**
+     * Extensions of each input and output format, and whether they are
+     * enabled by default
+     */
+    readonly extensions: Readonly<
+        Record<InputFormat | OutputFormat, Readonly<Record<string, boolean>>>
+    >
+    readonly highlightStyles: readonly string[]
+    readonly highlightLanguages: readonly string[]
+}
+
+/** Resolves to the same cached, frozen object for every call */
+export type CapabilitiesFunction = () => Promise<Capabilities>
+
+// Instances
+
+export interface ConvertFunction<C = CallOptions> {
+    <const O extends PandocOptions>(
+        options: O,
+        stdin?: FileValue | null,
+        files?: Files,
+        callOptions?: C
+    ): Promise<ConvertResult<O>>
+}
+
+/** A resource of the legacy pandoc() function */
+export interface LegacyResource {
+    filename: string
+    contents: FileValue
+}
+
+/** The result of the legacy pandoc() function */
+export interface LegacyResult {
+    out: string | Blob
+    mediaFiles: Map<string, string | Blob>
+    exitCode: number
+    ok: boolean
+}
+
+export type LegacyPandocFunction = (
+    /** Command line arguments, see `parseArgs()` */
+    args: string | readonly string[],
+    inData?: FileValue | null,
+    resources?: LegacyResource[]
+) => Promise<LegacyResult>
+
+/** Files that persist between conversions, see `pandoc.workspace()` */
+export interface Workspace {
+    writeFile(path: string, data: FileValue): Promise<void>
+    readFile(path: string): Promise<Blob>
+    /** Resolves to whether there was anything to remove */
+    remove(path: string): Promise<boolean>
+    list(): Promise<string[]>
+    convert: ConvertFunction
+}
+
+export interface PandocInstance {
+    convert: ConvertFunction
+    query: QueryFunction
+    capabilities: CapabilitiesFunction
+    validateOptions: ValidateOptionsFunction
+    pandoc: LegacyPandocFunction
+    workspace(): Workspace
+    /** Number of calls waiting or running */
+    readonly queueDepth: number
+}
+
+/** The WASM binary, or a compiled module */
+export type WasmSource =
+    | string
+    | URL
+    | Response
+    | PromiseLike<Response>
+    | ArrayBuffer
+    | ArrayBufferView
+    | WebAssembly.Module
+
+export interface CreatePandocOptions extends OutputOptions {
+    wasm?: WasmSource
+    /** Location of pandoc.wasm, used when `wasm` isn't given */
+    wasmUrl?: string | URL
+    /** Options for the GHC runtime system (default `["-H64m"]`) */
+    rtsOptions?: string[]
+}
+
+export interface PoolOptions {
+    /** Number of worker threads (default: the available parallelism) */
+    size?: number
+    wasm?: WasmSource
+    wasmUrl?: string | URL
+    rtsOptions?: string[]
+    silent?: boolean
+    strict?: boolean
+}
+
+export interface WorkerStats {
+    id: number
+    threadId: number | null
+    completed: number
+    failed: number
+    queueDepth: number
+    restarts: number
+}
+
+export interface PandocPool {
+    readonly size: number
+    convert: ConvertFunction<WorkerCallOptions>
+    query: QueryFunction<CancelOptions>
+    capabilities: CapabilitiesFunction
+    validateOptions: ValidateOptionsFunction<CancelOptions>
+    stats(): WorkerStats[]
+    close(): Promise<void>
+}
+
+export interface WorkerOptions {
+    wasm?: WasmSource
+    wasmUrl?: string | URL
+    rtsOptions?: string[]
+    silent?: boolean
+    strict?: boolean
+    /** A worker running src/worker.browser.js, or a function creating one */
+    worker?: Worker | (() => Worker)
+}
+
+export interface PandocWorker {
+    convert: ConvertFunction<WorkerCallOptions>
+    query: QueryFunction<CancelOptions>
+    capabilities: CapabilitiesFunction
+    validateOptions: ValidateOptionsFunction<CancelOptions>
+    terminate(): Promise<void>
+    readonly queueDepth: number
+}
+
+/** Load pandoc and create a new, independent instance */
+export function createPandoc(
+    options?: CreatePandocOptions
+): Promise<PandocInstance>
+
+/** Create a pool of pandoc instances in worker threads (Node.js only) */
+export function createPandocPool(options?: PoolOptions): Promise<PandocPool>
+
+/** Run pandoc in a Web Worker (browsers only) */
+export function createPandocWorker(
+    options?: WorkerOptions
+): Promise<PandocWorker>
+
+/** Convert a document with the default instance */
+export const convert: ConvertFunction
+
+/** Query pandoc with the default instance */
+export const query: QueryFunction
+
+/** What pandoc supports, queried once with the default instance */
+export const capabilities: CapabilitiesFunction
+
+/** Check conversion options with the default instance */
+export const validateOptions: ValidateOptionsFunction
+
+/** Legacy API: run pandoc with command line arguments */
+export const pandoc: LegacyPandocFunction
+
+/**
+ * Parse pandoc command line arguments into `convert()` options. A string is
+ * split into arguments like a shell does. Throws a `PandocError` for
+ * unknown options and invalid values.
+ */
+export function parseArgs(argv: string | readonly string[]): PandocOptions
+
+/** A pandoc command line, see `toCommandLine()` */
+export interface CommandLine {
+    /** Arguments, without the program name */
+    argv: string[]
+    /** A shell command running pandoc with `argv` */
+    command: string
+    /** Options without a command line form, to be written to `path` */
+    defaults: {path: string; contents: string} | null
+}
+
+/**
+ * Serialize options into an equivalent pandoc command line, which
+ * `parseArgs()` reads back as the same options. `files` are the files of
+ * the conversion, which the name of the defaults file avoids.
+ */
+export function toCommandLine(
+    options: PandocOptions,
+    files?: Files
+): CommandLine
+
+/** What there is to know about a format, see `formats` */
+export interface FormatInfo {
+    readonly name: InputFormat | OutputFormat
+    /** Whether pandoc can read the format */
+    readonly reader: boolean
+    /** Whether pandoc can write the format */
+    readonly writer: boolean
+    /** Whether files are binary (zip or PDF) files rather than text */
+    readonly binary: boolean
+    /** The usual file name extension, without a dot, e.g. `"docx"` */
+    readonly extension: string
+    readonly mimeType: string
+    /** Whether the writer always produces a complete document */
+    readonly standalone: boolean
+}
+
+/** The input and output formats of pandoc */
+export const formats: Readonly<Record<InputFormat | OutputFormat, FormatInfo>>
+
+/**
+ * The format of `format`, which can have extensions (e.g.
+ * `"markdown+smart"`), or null for custom formats and unknown formats
+ */
+export function formatInfo(format: string): FormatInfo | null
@@ -1,4 +1,23 @@
 // Main entry point for pandoc-wasm package
-// Re-exports the convert, query, and pandoc functions from src/index.js
+// Re-exports the createPandoc, convert, query, capabilities,
+// validateOptions, pandoc, createPandocPool (Node.js only),
+// createPandocWorker (browsers only), formatWarning, parseArgs,
+// toCommandLine and formatInfo functions, the formats catalog and the
+// PandocError class from src/index.js
 
-export {convert, query, pandoc} from "./src/index.js"
+export {
+    createPandoc,
+    createPandocPool,
+    createPandocWorker,
+    convert,
+    query,
+    capabilities,
+    validateOptions,
+    pandoc,
+    PandocError,
+    formatWarning,
+    parseArgs,
+    toCommandLine,
+    formats,
+    formatInfo
+} from "./src/index.js"
@@ -0,0 +1,58 @@
+/* pandoc-wasm: Cancellation helpers
+
+   Calls can be cancelled with an AbortSignal and/or a timeout, and are then
+   rejected with a DOMException named "AbortError".
+*/
+
+export function createAbortError(message = "The operation was aborted") {
+    return new DOMException(message, "AbortError")
+}
+
+// The error to reject with when `signal` has been aborted: the abort reason
+// if it is an AbortError already, and otherwise a new AbortError
+export function abortError(signal) {
+    const reason = signal.reason
+    if (reason instanceof Error && reason.name === "AbortError") {
+        return reason
+    }
+    const error = createAbortError()
+    if (reason !== undefined) {
+        error.cause = reason
+    }
+    return error
+}
+
+export function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw abortError(signal)
+    }
+}
+
+// Combine the `signal` and `timeoutMs` call options into a single signal.
+// `cleanup()` must be called once the call has finished.
+export function createCallSignal({signal, timeoutMs} = {}) {
+    if (timeoutMs == null) {
+        return {signal, cleanup() {}}
+    }
+    const controller = new AbortController()
+    const forward = () => controller.abort(signal.reason)
+    if (signal?.aborted) {
+        forward()
+    } else {
+        signal?.addEventListener("abort", forward, {once: true})
+    }
+    const timer = setTimeout(
+        () =>
+            controller.abort(
+                createAbortError(`Timed out after ${timeoutMs} ms`)
+            ),
+        timeoutMs
+    )
+    return {
+        signal: controller.signal,
+        cleanup() {
+            clearTimeout(timer)
+            signal?.removeEventListener("abort", forward)
+        }
+    }
+}
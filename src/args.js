@@ -0,0 +1,770 @@
+/* pandoc-wasm: Pandoc's command line
+
+   Parses pandoc command line arguments into the options of convert(), the
+   keys and values of a defaults file. Arguments can be given as an array
+   or as a string, which is split into arguments like a POSIX shell does
+   (with quotes and backslash escapes, but without expansions).
+
+   Like pandoc, long options can be abbreviated to any unambiguous prefix,
+   short options can be combined ("-sN") and take their value in the same
+   argument ("-fmarkdown") or the next one. Arguments that aren't options
+   are input files.
+*/
+
+import {PandocError} from "./errors.js"
+import {suggest} from "./options.js"
+
+function optionError(message) {
+    return new PandocError(message, {
+        exitCode: 6,
+        category: "PandocOptionError"
+    })
+}
+
+// Split a command line into arguments like a POSIX shell
+export function splitArgs(line) {
+    const args = []
+    let current = null
+    let i = 0
+    while (i < line.length) {
+        const char = line[i]
+        if (/\s/.test(char)) {
+            if (current !== null) {
+                args.push(current)
+                current = null
+            }
+            i++
+        } else if (char === "'") {
+            const end = line.indexOf("'", i + 1)
+            if (end === -1) {
+                throw optionError("Unterminated single quote in arguments")
+            }
+            current = (current ?? "") + line.slice(i + 1, end)
+            i = end + 1
+        } else if (char === '"') {
+            current = current ?? ""
+            i++
+            while (line[i] !== '"') {
+                if (i >= line.length) {
+                    throw optionError("Unterminated double quote in arguments")
+                }
+                // Inside double quotes, a backslash only escapes these
+                if (line[i] === "\\" && '"\\$`'.includes(line[i + 1])) {
+                    i++
+                }
+                current += line[i]
+                i++
+            }
+            i++
+        } else if (char === "\\") {
+            // An escaped newline continues the line
+            if (line[i + 1] !== "\n") {
+                current = (current ?? "") + (line[i + 1] ?? "")
+            }
+            i += 2
+        } else {
+            current = (current ?? "") + char
+            i++
+        }
+    }
+    if (current !== null) {
+        args.push(current)
+    }
+    return args
+}
+
+// Value parsers for options that take an argument
+
+function number(value, flag) {
+    const parsed = Number(value)
+    if (value.trim() === "" || !Number.isInteger(parsed)) {
+        throw optionError(`${flag} expects a number, got "${value}"`)
+    }
+    return parsed
+}
+
+function bool(value, flag) {
+    if (value === null || value === "true") {
+        return true
+    }
+    if (value === "false") {
+        return false
+    }
+    throw optionError(`${flag} expects true or false, got "${value}"`)
+}
+
+// A variable as pandoc reads it from the command line: KEY, KEY=VAL or
+// KEY:VAL. A missing value is "true".
+function keyValue(value) {
+    const match = /^([^=:]*)[=:](.*)$/s.exec(value)
+    return match ? [match[1], match[2]] : [value, "true"]
+}
+
+// A metadata value as pandoc reads it from the command line: like a
+// variable, but values "true" and "false" are booleans
+function metadataValue(value) {
+    const [key, text] = keyValue(value)
+    return [key, text === "true" || text === "false" ? text === "true" : text]
+}
+
+// Set `key` in the object option `name`. Repeating a key makes a list.
+function setKey(options, name, key, value) {
+    const object = {...options[name]}
+    if (key in object) {
+        object[key] = [object[key], value].flat()
+    } else {
+        object[key] = value
+    }
+    options[name] = object
+}
+
+function append(options, name, ...values) {
+    options[name] = [...(options[name] ?? []), ...values]
+}
+
+// Options with a value: [names, set(options, value, flag)]
+const valueOptions = [
+    // General options
+    [["-f", "-r", "--from", "--read"], (o, v) => (o.from = v)],
+    [["-t", "-w", "--to", "--write"], (o, v) => (o.to = v)],
+    [["-o", "--output"], (o, v) => (o["output-file"] = v)],
+    [["--data-dir"], (o, v) => (o["data-dir"] = v)],
+    [["-d", "--defaults"], (o, v) => append(o, "defaults", v)],
+    [["--log"], (o, v) => (o["log-file"] = v)],
+
+    // Reader options
+    [
+        ["--shift-heading-level-by"],
+        (o, v, f) => (o["shift-heading-level-by"] = number(v, f))
+    ],
+    [
+        ["--base-header-level"],
+        (o, v, f) => (o["base-header-level"] = number(v, f))
+    ],
+    [
+        ["--indented-code-classes"],
+        (o, v) => (o["indented-code-classes"] = v.split(/[ ,]+/))
+    ],
+    [
+        ["--default-image-extension"],
+        (o, v) => (o["default-image-extension"] = v)
+    ],
+    [["-F", "--filter"], (o, v) => append(o, "filters", v)],
+    [
+        ["-L", "--lua-filter"],
+        (o, v) => append(o, "filters", {type: "lua", path: v})
+    ],
+    [
+        ["-M", "--metadata"],
+        (o, v) => setKey(o, "metadata", ...metadataValue(v))
+    ],
+    [["--metadata-file"], (o, v) => append(o, "metadata-files", v)],
+    [["--tab-stop"], (o, v, f) => (o["tab-stop"] = number(v, f))],
+    [["--track-changes"], (o, v) => (o["track-changes"] = v)],
+    [["--extract-media"], (o, v) => (o["extract-media"] = v)],
+    [["--abbreviations"], (o, v) => (o.abbreviations = v)],
+
+    // General writer options
+    [["--template"], (o, v) => (o.template = v)],
+    [["-V", "--variable"], (o, v) => setKey(o, "variables", ...keyValue(v))],
+    [
+        ["--variable-json"],
+        (o, v, f) => {
+            const [key, json] = keyValue(v)
+            try {
+                setKey(o, "variables", key, JSON.parse(json))
+            } catch (_e) {
+                throw optionError(`${f} expects KEY:JSON, got "${v}"`)
+            }
+        }
+    ],
+    [["--eol"], (o, v) => (o.eol = v)],
+    [["--dpi"], (o, v, f) => (o.dpi = number(v, f))],
+    [["--wrap"], (o, v) => (o.wrap = v)],
+    [["--columns"], (o, v, f) => (o.columns = number(v, f))],
+    [["--toc-depth"], (o, v, f) => (o["toc-depth"] = number(v, f))],
+    [["--highlight-style"], (o, v) => (o["highlight-style"] = v)],
+    [["--syntax-highlighting"], (o, v) => (o["syntax-highlighting"] = v)],
+    [["--syntax-definition"], (o, v) => append(o, "syntax-definitions", v)],
+    [
+        ["-H", "--include-in-header"],
+        (o, v) => append(o, "include-in-header", v)
+    ],
+    [
+        ["-B", "--include-before-body"],
+        (o, v) => append(o, "include-before-body", v)
+    ],
+    [
+        ["-A", "--include-after-body"],
+        (o, v) => append(o, "include-after-body", v)
+    ],
+    [["--resource-path"], (o, v) => (o["resource-path"] = v.split(":"))],
+    [
+        ["--request-header"],
+        (o, v) => {
+            const [name, value] = keyValue(v)
+            append(o, "request-headers", [name, value])
+        }
+    ],
+
+    // Options affecting specific writers
+    [["--reference-location"], (o, v) => (o["reference-location"] = v)],
+    [
+        ["--figure-caption-position"],
+        (o, v) => (o["figure-caption-position"] = v)
+    ],
+    [["--table-caption-position"], (o, v) => (o["table-caption-position"] = v)],
+    [["--markdown-headings"], (o, v) => (o["markdown-headings"] = v)],
+    [["--top-level-division"], (o, v) => (o["top-level-division"] = v)],
+    [
+        ["--number-offset"],
+        (o, v, f) =>
+            (o["number-offset"] = v.split(",").map(part => number(part, f)))
+    ],
+    [["--slide-level"], (o, v, f) => (o["slide-level"] = number(v, f))],
+    [["--email-obfuscation"], (o, v) => (o["email-obfuscation"] = v)],
+    [["--id-prefix"], (o, v) => (o["identifier-prefix"] = v)],
+    [["-T", "--title-prefix"], (o, v) => (o["title-prefix"] = v)],
+    [["-c", "--css"], (o, v) => append(o, "css", v)],
+    [["--reference-doc"], (o, v) => (o["reference-doc"] = v)],
+    [["--split-level"], (o, v, f) => (o["split-level"] = number(v, f))],
+    [
+        ["--epub-chapter-level"],
+        (o, v, f) => (o["epub-chapter-level"] = number(v, f))
+    ],
+    [["--chunk-template"], (o, v) => (o["chunk-template"] = v)],
+    [["--epub-subdirectory"], (o, v) => (o["epub-subdirectory"] = v)],
+    [["--epub-cover-image"], (o, v) => (o["epub-cover-image"] = v)],
+    [["--epub-title-page"], (o, v, f) => (o["epub-title-page"] = bool(v, f))],
+    [["--epub-metadata"], (o, v) => (o["epub-metadata"] = v)],
+    [["--epub-embed-font"], (o, v) => append(o, "epub-fonts", v)],
+    [["--ipynb-output"], (o, v) => (o["ipynb-output"] = v)],
+    [["--pdf-engine"], (o, v) => (o["pdf-engine"] = v)],
+    [["--pdf-engine-opt"], (o, v) => append(o, "pdf-engine-opts", v)],
+
+    // Citation rendering
+    [["--bibliography"], (o, v) => append(o, "bibliography", v)],
+    [["--csl"], (o, v) => (o.csl = v)],
+    [["--citation-abbreviations"], (o, v) => (o["citation-abbreviations"] = v)]
+]
+
+// Boolean options, which can be given as --flag, --flag=true or
+// --flag=false: [names, key]
+const booleanOptions = [
+    [["--fail-if-warnings"], "fail-if-warnings"],
+    [["--sandbox"], "sandbox"],
+    [["--trace"], "trace"],
+    [["--file-scope"], "file-scope"],
+    [["-p", "--preserve-tabs"], "preserve-tabs"],
+    [["-s", "--standalone"], "standalone"],
+    [["--toc", "--table-of-contents"], "table-of-contents"],
+    [["--lof", "--list-of-figures"], "list-of-figures"],
+    [["--lot", "--list-of-tables"], "list-of-tables"],
+    [["--strip-comments"], "strip-comments"],
+    [["--no-check-certificate"], "no-check-certificate"],
+    [["--self-contained"], "self-contained"],
+    [["--embed-resources"], "embed-resources"],
+    [["--link-images"], "link-images"],
+    [["--html-q-tags"], "html-q-tags"],
+    [["--ascii"], "ascii"],
+    [["--reference-links"], "reference-links"],
+    [["--list-tables"], "list-tables"],
+    [["-N", "--number-sections"], "number-sections"],
+    [["--listings"], "listings"],
+    [["-i", "--incremental"], "incremental"],
+    [["--section-divs"], "section-divs"]
+]
+
+// Options without a value: [names, set(options)]
+const flagOptions = [
+    [["--verbose"], o => (o.verbosity = "INFO")],
+    [["--quiet"], o => (o.verbosity = "ERROR")],
+    [["--no-highlight"], o => (o["syntax-highlighting"] = "none")],
+    // Citeproc runs in order with the filters, as on the command line
+    [["-C", "--citeproc"], o => append(o, "filters", {type: "citeproc"})],
+    [["--natbib"], o => (o["cite-method"] = "natbib")],
+    [["--biblatex"], o => (o["cite-method"] = "biblatex")],
+    [["--mathml"], o => (o["html-math-method"] = {method: "mathml"})],
+    [["--gladtex"], o => (o["html-math-method"] = {method: "gladtex"})]
+]
+
+// HTML math methods, which take an optional URL
+const mathOptions = ["--mathjax", "--katex", "--webtex"]
+
+// Options of the pandoc executable that only print information or don't
+// apply to a conversion
+const unsupportedOptions = [
+    "--version",
+    "--help",
+    "--list-input-formats",
+    "--list-output-formats",
+    "--list-extensions",
+    "--list-highlight-languages",
+    "--list-highlight-styles",
+    "--print-default-template",
+    "--print-default-data-file",
+    "--print-highlight-style",
+    "--bash-completion",
+    "--dump-args",
+    "--ignore-args",
+    "--lua",
+    "--server"
+]
+
+// Every option by name: {kind, set} where kind is "value", "optional" (an
+// optional value after "=") or "flag"
+const optionsByName = new Map()
+for (const [names, set] of valueOptions) {
+    for (const name of names) {
+        optionsByName.set(name, {kind: "value", set})
+    }
+}
+for (const [names, key] of booleanOptions) {
+    for (const name of names) {
+        optionsByName.set(name, {
+            kind: "optional",
+            set: (o, v, f) => (o[key] = bool(v, f))
+        })
+    }
+}
+for (const [names, set] of flagOptions) {
+    for (const name of names) {
+        optionsByName.set(name, {kind: "flag", set})
+    }
+}
+for (const name of mathOptions) {
+    optionsByName.set(name, {
+        kind: "optional",
+        set: (o, v) =>
+            (o["html-math-method"] =
+                v === null
+                    ? {method: name.slice(2)}
+                    : {method: name.slice(2), url: v})
+    })
+}
+
+const longNames = [...optionsByName.keys(), ...unsupportedOptions].filter(
+    name => name.startsWith("--")
+)
+
+// The full name of the long option `name`, which may be abbreviated
+function resolveLongName(name) {
+    if (optionsByName.has(name) || unsupportedOptions.includes(name)) {
+        return name
+    }
+    const matches = longNames.filter(candidate => candidate.startsWith(name))
+    if (matches.length === 1) {
+        return matches[0]
+    }
+    if (matches.length > 1) {
+        throw optionError(
+            `Option ${name} is ambiguous: could be ${matches.join(", ")}`
+        )
+    }
+    const suggestion = suggest(
+        name.slice(2),
+        longNames.map(n => n.slice(2))
+    )
+    throw optionError(
+        suggestion
+            ? `Unknown option ${name}. Did you mean --${suggestion}?`
+            : `Unknown option ${name}`
+    )
+}
+
+// Parse pandoc command line arguments (an array, or a string that is split
+// like a shell does) into convert() options. Throws a PandocError for
+// unknown options and invalid values.
+export function parseArgs(argv) {
+    const args = typeof argv === "string" ? splitArgs(argv) : [...argv]
+    // The program name is optional
+    if (args[0] === "pandoc") {
+        args.shift()
+    }
+    const options = {}
+    const inputFiles = []
+
+    // Apply option `name` (a full name) with `value` (null if none was
+    // given with "="). Returns whether the next argument was used.
+    function apply(name, value, next) {
+        if (unsupportedOptions.includes(name)) {
+            throw optionError(
+                `Option ${name} is not supported by pandoc-wasm, use query() for information about pandoc`
+            )
+        }
+        const {kind, set} = optionsByName.get(name)
+        if (kind === "flag") {
+            if (value !== null) {
+                throw optionError(`Option ${name} doesn't take a value`)
+            }
+            set(options)
+            return false
+        }
+        if (kind === "optional") {
+            set(options, value, name)
+            return false
+        }
+        if (value !== null) {
+            set(options, value, name)
+            return false
+        }
+        if (next === undefined) {
+            throw optionError(`Option ${name} requires a value`)
+        }
+        set(options, next, name)
+        return true
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = String(args[i])
+        if (arg === "--") {
+            inputFiles.push(...args.slice(i + 1).map(String))
+            break
+        }
+        if (arg.startsWith("--")) {
+            const equals = arg.indexOf("=")
+            const name = resolveLongName(
+                equals === -1 ? arg : arg.slice(0, equals)
+            )
+            const value = equals === -1 ? null : arg.slice(equals + 1)
+            if (apply(name, value, args[i + 1])) {
+                i++
+            }
+        } else if (arg.startsWith("-") && arg !== "-") {
+            // Combined short options, e.g. "-sN" or "-fmarkdown"
+            for (let j = 1; j < arg.length; j++) {
+                const name = `-${arg[j]}`
+                const option = optionsByName.get(name)
+                if (!option) {
+                    throw optionError(`Unknown option ${name}`)
+                }
+                if (option.kind === "value") {
+                    const rest = arg.slice(j + 1)
+                    if (apply(name, rest || null, args[i + 1])) {
+                        i++
+                    }
+                    break
+                }
+                apply(name, null)
+            }
+        } else if (arg !== "-") {
+            // "-" is stdin, which is used when there are no input files
+            inputFiles.push(arg)
+        }
+    }
+
+    if (inputFiles.length > 0) {
+        options["input-files"] = inputFiles
+    }
+    return options
+}
+
+// Serializing options back into a command line
+
+// Options whose value is given as --key=value
+const valueKeys = [
+    "data-dir",
+    "shift-heading-level-by",
+    "base-header-level",
+    "default-image-extension",
+    "metadata-file",
+    "tab-stop",
+    "track-changes",
+    "extract-media",
+    "abbreviations",
+    "template",
+    "eol",
+    "dpi",
+    "wrap",
+    "columns",
+    "toc-depth",
+    "highlight-style",
+    "syntax-highlighting",
+    "reference-location",
+    "figure-caption-position",
+    "table-caption-position",
+    "markdown-headings",
+    "top-level-division",
+    "slide-level",
+    "email-obfuscation",
+    "title-prefix",
+    "reference-doc",
+    "split-level",
+    "epub-chapter-level",
+    "chunk-template",
+    "epub-subdirectory",
+    "epub-cover-image",
+    "epub-metadata",
+    "ipynb-output",
+    "pdf-engine",
+    "csl",
+    "citation-abbreviations"
+]
+
+// Options with a value whose flag has a different name
+const renamedKeys = {
+    from: "--from",
+    reader: "--from",
+    to: "--to",
+    writer: "--to",
+    "output-file": "--output",
+    "log-file": "--log",
+    "identifier-prefix": "--id-prefix"
+}
+
+// Lists given by repeating a flag
+const repeatedKeys = {
+    defaults: "--defaults",
+    "metadata-files": "--metadata-file",
+    "syntax-definitions": "--syntax-definition",
+    "include-in-header": "--include-in-header",
+    "include-before-body": "--include-before-body",
+    "include-after-body": "--include-after-body",
+    css: "--css",
+    "epub-fonts": "--epub-embed-font",
+    "pdf-engine-opts": "--pdf-engine-opt",
+    bibliography: "--bibliography"
+}
+
+// Lists given as one value with a separator
+const joinedKeys = {
+    "resource-path": ["--resource-path", ":"],
+    "indented-code-classes": ["--indented-code-classes", ","],
+    "number-offset": ["--number-offset", ","]
+}
+
+const booleanFlags = new Map([
+    ...booleanOptions.map(([names, key]) => [
+        key,
+        names.find(name => name.startsWith("--"))
+    ]),
+    ["toc", "--toc"],
+    ["lof", "--lof"],
+    ["lot", "--lot"],
+    ["epub-title-page", "--epub-title-page"]
+])
+
+const isScalar = value => ["string", "number"].includes(typeof value)
+
+// A metadata value or variable as -M/-V arguments, or null if parseArgs()
+// wouldn't read it back as the same value
+function keyValueArgs(flag, key, value) {
+    if (/[=:]/.test(key)) {
+        return null
+    }
+    // Only metadata values "true" and "false" are read as booleans
+    const booleans = flag === "--metadata"
+    if (booleans && typeof value === "boolean") {
+        return [`${flag}=${key}=${value}`]
+    }
+    // A list of at least two strings is read back from repeated keys
+    const values = Array.isArray(value) && value.length > 1 ? value : [value]
+    if (
+        !values.every(
+            item =>
+                typeof item === "string" &&
+                !(booleans && (item === "true" || item === "false"))
+        )
+    ) {
+        return null
+    }
+    return values.map(item => `${flag}=${key}=${item}`)
+}
+
+// The arguments for option `key`, or null if it has no command line form
+function argsFor(key, value) {
+    if (valueKeys.includes(key) || key in renamedKeys) {
+        // "output-file: null" is stdout, the default
+        if (key === "output-file" && value === null) {
+            return []
+        }
+        const flag = renamedKeys[key] ?? `--${key}`
+        return isScalar(value) ? [`${flag}=${value}`] : null
+    }
+    if (key in repeatedKeys) {
+        const values = typeof value === "string" ? [value] : value
+        return Array.isArray(values) && values.every(isScalar)
+            ? values.map(item => `${repeatedKeys[key]}=${item}`)
+            : null
+    }
+    if (key in joinedKeys) {
+        const [flag, separator] = joinedKeys[key]
+        return Array.isArray(value) &&
+            value.length > 0 &&
+            value.every(
+                item => isScalar(item) && !String(item).includes(separator)
+            )
+            ? [`${flag}=${value.join(separator)}`]
+            : null
+    }
+    if (booleanFlags.has(key)) {
+        if (typeof value !== "boolean") {
+            return null
+        }
+        const flag = booleanFlags.get(key)
+        return value && key !== "epub-title-page"
+            ? [flag]
+            : [`${flag}=${value}`]
+    }
+    switch (key) {
+        case "metadata":
+        case "variables": {
+            if (value === null || typeof value !== "object") {
+                return null
+            }
+            const flag = key === "metadata" ? "--metadata" : "--variable"
+            const args = Object.entries(value).map(([name, item]) =>
+                keyValueArgs(flag, name, item)
+            )
+            return args.includes(null) ? null : args.flat()
+        }
+        case "filters": {
+            if (!Array.isArray(value)) {
+                return null
+            }
+            const args = value.map(filter => {
+                if (typeof filter === "string") {
+                    return `--filter=${filter}`
+                }
+                if (filter?.type === "citeproc") {
+                    return "--citeproc"
+                }
+                if (filter?.type === "lua") {
+                    return `--lua-filter=${filter.path}`
+                }
+                // --filter runs files ending in .lua as Lua filters
+                if (filter?.type === "json" && !filter.path.endsWith(".lua")) {
+                    return `--filter=${filter.path}`
+                }
+                return null
+            })
+            return args.includes(null) ? null : args
+        }
+        case "citeproc":
+            // citeproc: true runs before the filters
+            return value === true ? ["--citeproc"] : value === false ? [] : null
+        case "verbosity":
+            return (
+                {INFO: ["--verbose"], WARNING: [], ERROR: ["--quiet"]}[value] ??
+                null
+            )
+        case "cite-method":
+            return (
+                {citeproc: [], natbib: ["--natbib"], biblatex: ["--biblatex"]}[
+                    value
+                ] ?? null
+            )
+        case "html-math-method": {
+            const {method, url} =
+                typeof value === "string" ? {method: value} : (value ?? {})
+            if (["mathml", "gladtex"].includes(method) && url === undefined) {
+                return [`--${method}`]
+            }
+            if (["mathjax", "katex", "webtex"].includes(method)) {
+                return [
+                    url === undefined ? `--${method}` : `--${method}=${url}`
+                ]
+            }
+            return null
+        }
+        default:
+            return null
+    }
+}
+
+// A YAML value, with strings quoted as JSON (which YAML reads)
+function toYaml(value, indent = "") {
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            return "[]"
+        }
+        return value
+            .map(
+                item =>
+                    `\n${indent}- ${toYaml(item, `${indent}  `).trimStart()}`
+            )
+            .join("")
+    }
+    if (value !== null && typeof value === "object") {
+        const entries = Object.entries(value).filter(
+            ([, item]) => item !== undefined
+        )
+        if (entries.length === 0) {
+            return "{}"
+        }
+        return entries
+            .map(([key, item]) => {
+                const name = /^[A-Za-z_][\w-]*$/.test(key)
+                    ? key
+                    : JSON.stringify(key)
+                return `\n${indent}${name}: ${toYaml(item, `${indent}  `)}`
+            })
+            .join("")
+            .replace(/: \n/g, ":\n")
+    }
+    return JSON.stringify(value ?? null)
+}
+
+// Quote an argument for a POSIX shell
+function shellQuote(arg) {
+    if (/^[\w@%+=:,./-]+$/.test(arg)) {
+        return arg
+    }
+    return `'${arg.replaceAll("'", "'\\''")}'`
+}
+
+// Serialize convert() options into an equivalent pandoc command line, which
+// parseArgs() reads back as the same options. Returns {argv, command,
+// defaults}: the arguments (without the program name), a shell command
+// running pandoc with them, and the defaults file that has to be written
+// next to it ({path, contents} in YAML), or null. Options that have no
+// command line form, such as nested metadata, are written to the defaults
+// file; its name is chosen so that it isn't one of `files`.
+export function toCommandLine(options, files = {}) {
+    const flags = []
+    const inputFiles = []
+    const rest = {}
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined) {
+            continue
+        }
+        if (key === "input-files" || key === "input-file") {
+            const names = key === "input-file" ? [value] : value
+            if (Array.isArray(names) && names.every(isScalar)) {
+                inputFiles.push(...names.map(String))
+                continue
+            }
+        }
+        const args = argsFor(key, value)
+        if (args === null) {
+            rest[key] = value
+        } else if (key === "citeproc") {
+            flags.unshift(...args)
+        } else {
+            flags.push(...args)
+        }
+    }
+
+    let defaults = null
+    const argv = []
+    if (Object.keys(rest).length > 0) {
+        let path = "defaults.yaml"
+        for (let i = 1; path in files; i++) {
+            path = `defaults-${i}.yaml`
+        }
+        defaults = {path, contents: `${toYaml(rest).trimStart()}\n`}
+        argv.push(`--defaults=${path}`)
+    }
+    argv.push(...flags)
+    // Input files that look like options come after "--"
+    if (inputFiles.some(name => name.startsWith("-"))) {
+        argv.push("--")
+    }
+    argv.push(...inputFiles)
+
+    return {
+        argv,
+        command: ["pandoc", ...argv].map(shellQuote).join(" "),
+        defaults
+    }
+}
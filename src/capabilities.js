@@ -0,0 +1,53 @@
+/* pandoc-wasm: Capabilities of pandoc
+
+   Everything pandoc supports in one object: its version, the input and
+   output formats, the extensions of each format (with whether they are
+   enabled by default), and the highlight styles and languages. Collecting
+   it runs a query for every format, so it is done once per instance (or
+   pool or worker) and the frozen result is shared by all callers.
+*/
+
+// Collect the capabilities with `query(options)`, which returns the result
+// of a query
+export function collectCapabilities(query) {
+    const inputFormats = query({query: "input-formats"})
+    const outputFormats = query({query: "output-formats"})
+    const formats = [...new Set([...inputFormats, ...outputFormats])].sort()
+    return {
+        version: query({query: "version"}),
+        inputFormats,
+        outputFormats,
+        extensions: Object.fromEntries(
+            formats.map(format => [
+                format,
+                query({query: "extensions-for-format", format})
+            ])
+        ),
+        highlightStyles: query({query: "highlight-styles"}),
+        highlightLanguages: query({query: "highlight-languages"})
+    }
+}
+
+function freeze(value) {
+    if (value !== null && typeof value === "object") {
+        for (const item of Object.values(value)) {
+            freeze(item)
+        }
+        Object.freeze(value)
+    }
+    return value
+}
+
+// A capabilities() function that calls `load()` (which resolves to the
+// capabilities) the first time and then resolves to the same frozen object.
+// A failed call is not cached, so the next call retries.
+export function cacheCapabilities(load) {
+    let capabilitiesPromise = null
+    return () => {
+        capabilitiesPromise ??= load().then(freeze, error => {
+            capabilitiesPromise = null
+            throw error
+        })
+        return capabilitiesPromise
+    }
+}
@@ -1,36 +1,246 @@
 /* pandoc-wasm: Core pandoc logic (environment-agnostic)
 
    This file contains all the pandoc conversion logic but doesn't handle
-   WASM loading. The WASM binary must be provided by the caller.
+   locating the WASM binary. The binary (or a URL/Response pointing to it)
+   must be provided by the caller.
 */
 
 import {
     ConsoleStdout,
+    Directory,
     File,
     OpenFile,
-    PreopenDirectory,
-    WASI
+    WASI,
+    WASIProcExit
 } from "@bjorn3/browser_wasi_shim"
+import {createCallSignal, throwIfAborted} from "./abort.js"
+import {parseArgs} from "./args.js"
+import {cacheCapabilities, collectCapabilities} from "./capabilities.js"
+import {toUint8Array, toUint8ArraySync} from "./data.js"
+import {resolveDefaults} from "./defaults.js"
+import {PandocError, categoryForExitCode, parsePandocError} from "./errors.js"
+import {fetchResources} from "./fetch.js"
+import {
+    RootDirectory,
+    cloneTree,
+    getEntry,
+    listFiles,
+    normalizePath,
+    removeEntry,
+    setEntry
+} from "./filesystem.js"
+import {formatInfo} from "./formats.js"
+import {validateOptions} from "./options.js"
+import {createQueue} from "./queue.js"
+import {isStorageMount, mountStorage} from "./storage.js"
+import {normalizeWarning} from "./warnings.js"
+
+export {PandocError} from "./errors.js"
+export {parseArgs, toCommandLine} from "./args.js"
+export {formatInfo, formats} from "./formats.js"
+export {formatWarning} from "./warnings.js"
+
+// Options passed to the GHC runtime system when none are given
+const defaultRtsOptions = ["-H64m"]
+
+// Compile the pandoc WASM binary from any of the supported sources:
+// a URL (string or URL object), a Response (or a promise of one, such as
+// the return value of fetch()), an ArrayBuffer/typed array, or an already
+// compiled WebAssembly.Module
+export async function compileWasm(source) {
+    let wasm = await source
+    if (wasm instanceof WebAssembly.Module) {
+        return wasm
+    }
+    if (typeof wasm === "string" || wasm instanceof URL) {
+        wasm = await fetch(wasm)
+    }
+    if (typeof Response !== "undefined" && wasm instanceof Response) {
+        if (!wasm.ok) {
+            throw new Error(
+                `Failed to fetch pandoc.wasm: ${wasm.status} ${wasm.statusText}`
+            )
+        }
+        // Streaming compilation requires the correct MIME type
+        const contentType = wasm.headers.get("Content-Type") || ""
+        if (
+            WebAssembly.compileStreaming &&
+            contentType.startsWith("application/wasm")
+        ) {
+            return WebAssembly.compileStreaming(wasm)
+        }
+        wasm = await wasm.arrayBuffer()
+    }
+    if (wasm instanceof ArrayBuffer || ArrayBuffer.isView(wasm)) {
+        return WebAssembly.compile(wasm)
+    }
+    throw new TypeError(
+        "Unsupported WASM source: expected a URL, Response, ArrayBuffer or WebAssembly.Module"
+    )
+}
+
+// Decode the output written to stdout in `format` (see formatInfo()).
+// Binary formats are returned as a Blob of their MIME type, and output
+// that isn't valid UTF-8 as an untyped Blob.
+function decodeStdout(bytes, format) {
+    if (format?.binary) {
+        return new Blob([bytes], {type: format.mimeType})
+    }
+    try {
+        return new TextDecoder("utf-8", {fatal: true}).decode(bytes)
+    } catch (_e) {
+        return new Blob([bytes])
+    }
+}
+
+// Create convert/query/capabilities/pandoc functions that only create the
+// pandoc instance (by calling `create`) the first time one of them is used.
+// A failed initialization is not cached, so the next call retries.
+export function createLazyApi(create) {
+    let instancePromise = null
+
+    function getInstance() {
+        if (!instancePromise) {
+            instancePromise = create().catch(error => {
+                instancePromise = null
+                throw error
+            })
+        }
+        return instancePromise
+    }
+
+    return {
+        getInstance,
+        convert: async (...args) => (await getInstance()).convert(...args),
+        query: async (...args) => (await getInstance()).query(...args),
+        capabilities: async () => (await getInstance()).capabilities(),
+        validateOptions: async (...args) =>
+            (await getInstance()).validateOptions(...args),
+        pandoc: async (...args) => (await getInstance()).pandoc(...args)
+    }
+}
+
+// A WASI stdout/stderr that calls `write(line)` for each line of output.
+// flush() writes the last line if it doesn't end with a newline.
+function createLineOutput(write) {
+    const decoder = new TextDecoder("utf-8", {fatal: false})
+    let buffer = ""
+    return {
+        fd: new ConsoleStdout(bytes => {
+            buffer += decoder.decode(bytes, {stream: true})
+            const lines = buffer.split("\n")
+            buffer = lines.pop()
+            for (const line of lines) {
+                write(line)
+            }
+        }),
+        flush() {
+            buffer += decoder.decode()
+            if (buffer) {
+                write(buffer)
+                buffer = ""
+            }
+        }
+    }
+}
 
 // Initialize and export the pandoc instance creator
-export function createPandocInstance(wasmBinary) {
+// `wasm` is either the WASM binary or a compiled WebAssembly.Module.
+// `mountDirectory(spec)` creates the directory for a `mounts` entry of a
+// conversion and is only available where host directories can be mounted
+// (see mount.node.js).
+// What the WASM program writes to its own stdout and stderr (such as the
+// output of print() in Lua filters) is passed line by line to `onStdout`
+// and `onStderr`, and pandoc's log messages to `onLog`. Without these
+// callbacks, the output is written to the console unless `silent` is set.
+// Calls can override all of these in their call options.
+// With `strict`, conversions with invalid options (see options.js) are
+// rejected before pandoc runs.
+export function createPandocInstance(
+    wasm,
+    {
+        rtsOptions = defaultRtsOptions,
+        mountDirectory = null,
+        onStdout = null,
+        onStderr = null,
+        onLog = null,
+        silent = false,
+        strict = false
+    } = {}
+) {
     // Initialize WASM module
-    const args = ["pandoc.wasm", "+RTS", "-H64m", "-RTS"]
+    const args = ["pandoc.wasm", "+RTS", ...rtsOptions, "-RTS"]
     const env = []
-    const fileSystem = new Map()
+    // Each call gets a new directory tree as the root pandoc sees
+    const preopen = new RootDirectory()
+
+    // Output handlers of the running call, and the lines it has written
+    let output = {logs: []}
+
+    // Lines of a conversion are held back until its last run, as pandoc may
+    // run more than once (see runConvert)
+    function writeLine(stream, text) {
+        output.logs.push({stream, text})
+        if (!output.held) {
+            emitLine(stream, text)
+        }
+    }
+
+    function emitLine(stream, text) {
+        const handler =
+            stream === "stdout"
+                ? (output.onStdout ?? onStdout)
+                : (output.onStderr ?? onStderr)
+        if (handler) {
+            handler(text)
+        } else if (!(output.silent ?? silent)) {
+            if (stream === "stdout") {
+                console.log(`[WASI stdout] ${text}`)
+            } else {
+                console.warn(`[WASI stderr] ${text}`)
+            }
+        }
+    }
+
+    const stdoutOutput = createLineOutput(text => writeLine("stdout", text))
+    const stderrOutput = createLineOutput(text => writeLine("stderr", text))
+
+    // Direct the output to the handlers in `callOptions` while `run()` runs
+    // (the handlers before are restored after it).
+    // Resolves to the result of run() and the lines written.
+    async function withOutput(callOptions, run) {
+        const previous = output
+        output = {
+            logs: [],
+            onStdout: callOptions.onStdout,
+            onStderr: callOptions.onStderr,
+            silent: callOptions.silent
+        }
+        try {
+            return await run()
+        } finally {
+            stdoutOutput.flush()
+            stderrOutput.flush()
+            output = previous
+        }
+    }
+
     const fds = [
         new OpenFile(new File(new Uint8Array(), {readonly: true})),
-        ConsoleStdout.lineBuffered(msg => console.log(`[WASI stdout] ${msg}`)),
-        ConsoleStdout.lineBuffered(msg => console.warn(`[WASI stderr] ${msg}`)),
-        new PreopenDirectory("/", fileSystem)
+        stdoutOutput.fd,
+        stderrOutput.fd,
+        preopen
     ]
     const options = {debug: false}
     const wasi = new WASI(args, env, fds, options)
 
     // Instantiate WASM
-    return WebAssembly.instantiate(wasmBinary, {
+    return WebAssembly.instantiate(wasm, {
         wasi_snapshot_preview1: wasi.wasiImport
-    }).then(({instance}) => {
+    }).then(result => {
+        // Instantiating a compiled module resolves to the instance itself
+        const instance =
+            result instanceof WebAssembly.Instance ? result : result.instance
         wasi.initialize(instance)
         instance.exports.__wasm_call_ctors()
 
@@ -60,24 +270,18 @@ export function createPandocInstance(wasmBinary) {
 
         instance.exports.hs_init_with_rtsopts(argc_ptr, argv_ptr)
 
-        // Helper function to add file to filesystem
-        // Accepts either a Blob or a string
-        async function addFile(filename, data, readonly) {
-            let uint8Array
-            if (typeof data === "string") {
-                // Convert string to Uint8Array
-                uint8Array = new TextEncoder().encode(data)
-            } else {
-                // Assume it's a Blob
-                const buffer = await data.arrayBuffer()
-                uint8Array = new Uint8Array(buffer)
-            }
+        // Helper function to add a file (given as a Uint8Array) to the
+        // directory tree `root`
+        function addFile(root, filename, uint8Array, readonly) {
             const file = new File(uint8Array, {readonly: readonly})
-            fileSystem.set(filename, file)
+            setEntry(root, filename, file)
         }
 
-        // Main API: query function
-        function query(options) {
+        // Calls share the filesystem, so they have to run one at a time
+        const queue = createQueue()
+
+        // Run a query (only called from the queue)
+        function runQuery(options) {
             const opts_str = JSON.stringify(options)
             const encoded = new TextEncoder().encode(opts_str)
             // Allocate memory based on byte length, not character count
@@ -92,19 +296,22 @@ export function createPandocInstance(wasmBinary) {
             )
 
             // Setup filesystem
-            fileSystem.clear()
+            const root = new Directory(new Map())
+            preopen.dir = root
             const out_file = new File(new Uint8Array(), {readonly: false})
             const err_file = new File(new Uint8Array(), {readonly: false})
-            fileSystem.set("stdout", out_file)
-            fileSystem.set("stderr", err_file)
+            root.contents.set("stdout", out_file)
+            root.contents.set("stderr", err_file)
 
             instance.exports.query(opts_ptr, encoded.length)
 
             const err_text = new TextDecoder("utf-8", {fatal: true}).decode(
                 err_file.data
             )
-            if (err_text) {
-                console.log(err_text)
+            for (const line of err_text.split("\n")) {
+                if (line) {
+                    writeLine("stderr", line)
+                }
             }
             const out_text = new TextDecoder("utf-8", {fatal: true}).decode(
                 out_file.data
@@ -112,94 +319,266 @@ export function createPandocInstance(wasmBinary) {
             return JSON.parse(out_text)
         }
 
-        // Main API: convert function
-        async function convert(options, stdin, files) {
-            const opts_str = JSON.stringify(options)
+        // Run a conversion (only called from the queue). The files of
+        // the directory tree `base` (of a workspace) are available to
+        // pandoc as well, but aren't changed by the conversion.
+        async function runConvert(
+            options,
+            stdin,
+            files,
+            {
+                signal,
+                throwOnError = true,
+                mounts = {},
+                resolveFile = null,
+                onLog: callOnLog = null
+            },
+            base = null
+        ) {
+            // Binary formats are written to an output file (some of them,
+            // like chunkedhtml, can't be written to stdout), which is
+            // returned as stdout
+            const format = formatInfo(options.to ?? options.writer)
+            const stdoutFile =
+                format?.binary && !options["output-file"]
+                    ? `.pandoc-wasm-stdout.${format.extension}`
+                    : null
+            if (stdoutFile) {
+                options = {...options, "output-file": stdoutFile}
+            }
 
+            const opts_str = JSON.stringify(options)
             const encoded = new TextEncoder().encode(opts_str)
-            const opts_ptr = instance.exports.malloc(encoded.length)
-            new TextEncoder().encodeInto(
-                opts_str,
-                new Uint8Array(
-                    instance.exports.memory.buffer,
-                    opts_ptr,
-                    encoded.length
-                )
-            )
 
             // Clone files object to avoid mutating the input parameter
             files = {...files}
 
-            // Setup filesystem
-            fileSystem.clear()
-            const in_file = new File(new Uint8Array(), {readonly: true})
-            const out_file = new File(new Uint8Array(), {readonly: false})
-            const err_file = new File(new Uint8Array(), {readonly: false})
-            const warnings_file = new File(new Uint8Array(), {readonly: false})
-            fileSystem.set("stdin", in_file)
-            fileSystem.set("stdout", out_file)
-            fileSystem.set("stderr", err_file)
-            fileSystem.set("warnings", warnings_file)
-
-            // Track known files to detect newly created media files
-            // We track system files, input files, output files, and extract-media archives
-            const knownFiles = new Set([
-                "stdin",
-                "stdout",
-                "stderr",
-                "warnings"
-            ])
-
-            // Add input files (can be Blobs or strings)
+            // Read the inputs once, pandoc may have to run more than once
+            const stdinBytes = stdin
+                ? await toUint8Array(stdin, "stdin")
+                : new Uint8Array()
+            const inputFiles = new Map()
             for (const filename in files) {
-                await addFile(filename, files[filename], true)
-                knownFiles.add(filename)
+                inputFiles.set(
+                    filename,
+                    await toUint8Array(files[filename], `file "${filename}"`)
+                )
             }
 
-            // Track output file and extract-media separately
-            // These should NOT be included in mediaFiles (only extracted media should be)
-            const outputFileName = options["output-file"] || null
-            const extractMediaPath = options["extract-media"] || null
+            // Files provided by resolveFile(), by normalized path, and
+            // all paths it was asked for
+            const resolvedFiles = new Map()
+            const requestedPaths = new Set()
 
-            // Add output file placeholder if specified
-            if (outputFileName) {
-                await addFile(outputFileName, new Blob(), false)
-                knownFiles.add(outputFileName)
+            // Set up the filesystem and run pandoc. Files that resolveFile()
+            // returns a Promise for are only available to the next run,
+            // so pandoc is run again until it asks for no new files.
+            // Only the lines of the last run are passed to the handlers,
+            // also when resolving the files fails.
+            let run
+            output.held = true
+            try {
+                for (;;) {
+                    run = await runOnce()
+                    if (!(await addResolvedFiles(run.pending))) {
+                        break
+                    }
+                }
+            } finally {
+                output.held = false
+                for (const {stream, text} of output.logs) {
+                    emitLine(stream, text)
+                }
             }
+            const {root, out_file, err_file, warnings_file, knownFiles} = run
+            const {mounted, procExitCode} = run
 
-            // Add media file placeholder for extracted media
-            if (extractMediaPath) {
-                await addFile(extractMediaPath, new Blob(), false)
-                // Only add to knownFiles if it's a zip file (not a directory)
-                // Directory contents are the actual media files we want in mediaFiles
-                if (extractMediaPath.endsWith(".zip")) {
-                    knownFiles.add(extractMediaPath)
+            // Wait for the files that resolveFile() provides asynchronously
+            // and add the ones that were found. Returns whether there were any.
+            // All Promises are awaited at once, so none of them is left
+            // unhandled when another one rejects.
+            async function addResolvedFiles(pending) {
+                let found = false
+                const values = await Promise.all(
+                    pending.map(([, promise]) => promise)
+                )
+                for (const [i, [path]] of pending.entries()) {
+                    const value = values[i]
+                    if (value != null) {
+                        resolvedFiles.set(
+                            path,
+                            await toUint8Array(value, `file "${path}"`)
+                        )
+                        found = true
+                    }
                 }
+                return found
             }
 
-            // Set stdin content
-            if (stdin) {
-                in_file.data = new TextEncoder().encode(stdin)
-            }
+            async function runOnce() {
+                // Setup filesystem. The files of `base` are shared, not copied.
+                const root = base ? cloneTree(base) : new Directory(new Map())
+                preopen.dir = root
+                const in_file = new File(stdinBytes, {readonly: true})
+                const out_file = new File(new Uint8Array(), {readonly: false})
+                const err_file = new File(new Uint8Array(), {readonly: false})
+                const warnings_file = new File(new Uint8Array(), {
+                    readonly: false
+                })
+                root.contents.set("stdin", in_file)
+                root.contents.set("stdout", out_file)
+                root.contents.set("stderr", err_file)
+                root.contents.set("warnings", warnings_file)
+
+                // Track known files to detect newly created media files
+                // We track system files, input files, output files, and extract-media archives
+                // (by their normalized paths)
+                const knownFiles = new Set([
+                    "stdin",
+                    "stdout",
+                    "stderr",
+                    "warnings"
+                ])
+                for (const [name] of listFiles(root)) {
+                    knownFiles.add(name)
+                }
+
+                // Mount storage backends and host directories
+                const mounted = []
+                for (const [path, spec] of Object.entries(mounts)) {
+                    let mount
+                    if (isStorageMount(spec)) {
+                        mount = await mountStorage(spec)
+                    } else if (mountDirectory) {
+                        mount = mountDirectory(spec)
+                    } else {
+                        throw new Error(
+                            "Mounting host directories is only supported in Node.js"
+                        )
+                    }
+                    setEntry(root, path, mount.directory)
+                    mounted.push(mount)
+                }
+
+                // Add input files and the files found by resolveFile()
+                for (const [filename, bytes] of inputFiles) {
+                    addFile(root, filename, bytes, true)
+                    knownFiles.add(normalizePath(filename))
+                }
+                for (const [path, bytes] of resolvedFiles) {
+                    addFile(root, path, bytes, true)
+                    knownFiles.add(path)
+                }
+
+                // Track output file and extract-media separately
+                // These should NOT be included in mediaFiles (only extracted media should be)
+                const outputFileName = options["output-file"] || null
+                const extractMediaPath = options["extract-media"] || null
+
+                // Add output file placeholder if specified
+                if (outputFileName) {
+                    addFile(root, outputFileName, new Uint8Array(), false)
+                    knownFiles.add(normalizePath(outputFileName))
+                }
+
+                // Add media file placeholder for extracted media, but only if
+                // it's a zip file: pandoc has to create a directory itself
+                // Directory contents are the actual media files we want in mediaFiles
+                if (extractMediaPath?.endsWith(".zip")) {
+                    addFile(root, extractMediaPath, new Uint8Array(), false)
+                    knownFiles.add(normalizePath(extractMediaPath))
+                }
+
+                // Ask resolveFile() for the files pandoc can't find. Errors
+                // can't be thrown through pandoc, so they are thrown later.
+                const pending = []
+                let resolveError = null
+                if (resolveFile) {
+                    preopen.onMissing = path => {
+                        if (resolveError || requestedPaths.has(path)) {
+                            return
+                        }
+                        requestedPaths.add(path)
+                        try {
+                            const value = resolveFile(path)
+                            const bytes = toUint8ArraySync(value)
+                            if (bytes) {
+                                resolvedFiles.set(path, bytes)
+                                addFile(root, path, bytes, true)
+                                knownFiles.add(path)
+                            } else if (value != null) {
+                                pending.push([path, value])
+                            }
+                        } catch (error) {
+                            resolveError = error
+                        }
+                    }
+                }
+
+                // Last chance to cancel: the conversion itself can't be
+                // interrupted once it has started
+                throwIfAborted(signal)
+
+                // The options buffer isn't valid after a run, so it is
+                // allocated for every run
+                const opts_ptr = instance.exports.malloc(encoded.length)
+                new Uint8Array(
+                    instance.exports.memory.buffer,
+                    opts_ptr,
+                    encoded.length
+                ).set(encoded)
+
+                // Run conversion. Pandoc normally returns without exiting, but
+                // the exit code is kept if it does call proc_exit. Only the
+                // output of the last run is returned in `logs`.
+                output.logs = []
+                let procExitCode = null
+                try {
+                    instance.exports.convert(opts_ptr, encoded.length)
+                } catch (e) {
+                    if (!(e instanceof WASIProcExit)) {
+                        throw e
+                    }
+                    procExitCode = e.code
+                } finally {
+                    preopen.onMissing = null
+                    stdoutOutput.flush()
+                    stderrOutput.flush()
+                }
+                if (resolveError) {
+                    throw resolveError
+                }
 
-            // Run conversion
-            instance.exports.convert(opts_ptr, encoded.length)
+                return {
+                    root,
+                    out_file,
+                    err_file,
+                    warnings_file,
+                    knownFiles,
+                    mounted,
+                    procExitCode,
+                    pending
+                }
+            }
 
             // Collect output file if generated
-            if (options["output-file"]) {
-                const outputFile = fileSystem.get(options["output-file"])
+            if (options["output-file"] && !stdoutFile) {
+                const outputFile = getEntry(root, options["output-file"])
                 if (
                     outputFile &&
                     outputFile.data &&
                     outputFile.data.length > 0
                 ) {
-                    files[options["output-file"]] = new Blob([outputFile.data])
+                    files[options["output-file"]] = new Blob(
+                        [outputFile.data],
+                        {type: format?.mimeType ?? ""}
+                    )
                 }
             }
 
             // Collect extracted media if generated
             if (options["extract-media"]) {
-                const mediaFile = fileSystem.get(options["extract-media"])
+                const mediaFile = getEntry(root, options["extract-media"])
                 if (mediaFile && mediaFile.data && mediaFile.data.length > 0) {
                     files[options["extract-media"]] = new Blob(
                         [mediaFile.data],
@@ -210,22 +589,15 @@ export function createPandocInstance(wasmBinary) {
                 }
             }
 
-            // Collect any newly created media files (e.g., extracted images)
+            // Collect any newly created media files (e.g., extracted images),
+            // including the ones in directories, such as "media/image1.png"
             // mediaFiles should ONLY contain extracted media, NOT the output file
             const mediaFiles = {}
-            for (const [name, fileData] of fileSystem.entries()) {
-                if (
-                    !knownFiles.has(name) &&
-                    fileData &&
-                    fileData.data &&
-                    fileData.data.length > 0
-                ) {
+            for (const [name, fileData] of listFiles(root)) {
+                if (!knownFiles.has(name) && fileData.data.length > 0) {
                     const blob = new Blob([fileData.data])
                     files[name] = blob
-                    // Only add to mediaFiles if it's not the output file or extract-media archive
-                    if (name !== outputFileName && name !== extractMediaPath) {
-                        mediaFiles[name] = blob
-                    }
+                    mediaFiles[name] = blob
                 }
             }
 
@@ -236,42 +608,367 @@ export function createPandocInstance(wasmBinary) {
             let warnings = []
             if (rawWarnings) {
                 try {
-                    warnings = JSON.parse(rawWarnings)
+                    warnings = JSON.parse(rawWarnings).map(normalizeWarning)
                 } catch (e) {
                     console.warn("Failed to parse warnings:", e)
                 }
             }
+            const logHandler = callOnLog ?? onLog
+            if (logHandler) {
+                for (const message of warnings) {
+                    logHandler(message)
+                }
+            }
+            const logs = output.logs
+
+            const stdoutBytes = stdoutFile
+                ? (getEntry(root, stdoutFile)?.data ?? new Uint8Array()).slice()
+                : out_file.data.slice()
+            // Only the output of binary formats redirected to `stdoutFile`
+            // is typed, stdout stays text with an output file of the caller
+            const stdout = decodeStdout(stdoutBytes, stdoutFile ? format : null)
+            const stderr = new TextDecoder("utf-8", {fatal: true}).decode(
+                err_file.data
+            )
+
+            // An exit code from proc_exit wins over the one derived from
+            // the error message
+            let error = parsePandocError(stderr)
+            if (procExitCode !== null && procExitCode !== 0) {
+                const category =
+                    error?.category ?? categoryForExitCode(procExitCode)
+                error = {
+                    message: `pandoc exited with code ${procExitCode}`,
+                    position: null,
+                    ...error,
+                    exitCode: procExitCode,
+                    category
+                }
+            }
+            const exitCode = error ? error.exitCode : 0
+
+            // Write the changes to writable mounts, unless pandoc failed
+            if (exitCode === 0) {
+                for (const mount of mounted) {
+                    await mount.commit()
+                }
+            }
+
+            // Report failed conversions as errors unless asked not to
+            if (error && throwOnError) {
+                throw new PandocError(error.message, {
+                    ...error,
+                    stdout,
+                    stdoutBytes,
+                    stderr,
+                    warnings,
+                    logs
+                })
+            }
 
             return {
-                stdout: new TextDecoder("utf-8", {fatal: true}).decode(
-                    out_file.data
-                ),
-                stderr: new TextDecoder("utf-8", {fatal: true}).decode(
-                    err_file.data
-                ),
+                stdout: stdout,
+                stdoutBytes: stdoutBytes,
+                stderr: stderr,
                 warnings: warnings,
+                logs: logs,
                 files: files,
-                mediaFiles: mediaFiles
+                mediaFiles: mediaFiles,
+                exitCode: exitCode,
+                ok: exitCode === 0
+            }
+        }
+
+        // Main API: query function
+        // The results don't change, so pandoc is only queried the first time
+        // and callers get copies of the cached results
+        function query(options) {
+            return queue.push(() =>
+                withOutput({}, () => structuredClone(cachedQuery(options)))
+            )
+        }
+
+        // Results of queries, which don't change (only called from the
+        // queue)
+        const queryCache = new Map()
+
+        function cachedQuery(options) {
+            const key = JSON.stringify(options)
+            if (!queryCache.has(key)) {
+                queryCache.set(key, runQuery(options))
             }
+            return queryCache.get(key)
+        }
+
+        // Check options against the formats and extensions of this pandoc
+        // (only called from the queue)
+        function checkOptions(options) {
+            return validateOptions(options, {
+                input: cachedQuery({query: "input-formats"}),
+                output: cachedQuery({query: "output-formats"}),
+                extensionsFor: format =>
+                    cachedQuery({query: "extensions-for-format", format})
+            })
         }
 
-        // Helper function to convert data to Uint8Array
-        async function toUint8Array(inData) {
-            let uint8Array
+        // Main API: capabilities function
+        // Resolves to everything this pandoc supports in one object
+        const capabilities = cacheCapabilities(() =>
+            queue.push(() =>
+                withOutput({}, () => collectCapabilities(cachedQuery))
+            )
+        )
 
-            if (typeof inData === "string") {
-                const encoder = new TextEncoder()
-                uint8Array = encoder.encode(inData)
-            } else if (inData instanceof Blob) {
-                const arrayBuffer = await inData.arrayBuffer()
-                uint8Array = new Uint8Array(arrayBuffer)
-            } else {
-                throw new Error(
-                    "Unsupported type: inData must be a string or a Blob"
+        // Main API: validateOptions function
+        // Resolves to the problems found in `options`, an empty array if
+        // there are none
+        function validate(options) {
+            return queue.push(() => withOutput({}, () => checkOptions(options)))
+        }
+
+        // Main API: convert function
+        // Overlapping calls are queued and run in the order they were made.
+        // `callOptions.signal` and `callOptions.timeoutMs` cancel calls that
+        // are still waiting in the queue. Failed conversions are rejected
+        // with a PandocError, unless `callOptions.throwOnError` is false.
+        // `callOptions.fetch(url)` provides the remote resources pandoc
+        // can't download itself (see fetch.js). `callOptions.strict`
+        // overrides the `strict` option of the instance.
+        function convert(options, stdin, files, callOptions = {}) {
+            return queueConvert(options, stdin, files, callOptions, null)
+        }
+
+        // Queue a conversion, optionally with the files of a workspace
+        function queueConvert(options, stdin, files, callOptions, base) {
+            const {signal, cleanup} = createCallSignal(callOptions)
+            const runOptions = {...callOptions, signal}
+            return queue
+                .push(
+                    () =>
+                        withOutput(callOptions, async () => {
+                            let resolved
+                            try {
+                                resolved = await withDefaults(
+                                    options,
+                                    files,
+                                    base
+                                )
+                                if (callOptions.strict ?? strict) {
+                                    throwIfInvalid(resolved.options)
+                                }
+                            } catch (error) {
+                                if (
+                                    error instanceof PandocError &&
+                                    callOptions.throwOnError === false
+                                ) {
+                                    return failedResult(error, files)
+                                }
+                                throw error
+                            }
+                            const run = callOptions.fetch
+                                ? runWithFetch
+                                : runConvert
+                            return await run(
+                                resolved.options,
+                                stdin,
+                                resolved.files,
+                                runOptions,
+                                base
+                            )
+                        }),
+                    signal
                 )
+                .finally(cleanup)
+        }
+
+        // Resolve the defaults files of `options` from `files` and the files
+        // of the workspace `base` (only called from the queue). Files that
+        // are read are replaced by their bytes, so that streams can still be
+        // read by the conversion.
+        async function withDefaults(options, files, base) {
+            if (options.defaults === undefined) {
+                return {options, files}
             }
+            files = {...files}
+            const decoder = new TextDecoder("utf-8", {fatal: true})
+            const resolved = await resolveDefaults(options, async path => {
+                let normalized
+                try {
+                    normalized = normalizePath(path)
+                } catch (_e) {
+                    return null
+                }
+                const key = Object.keys(files).find(
+                    name => normalizePath(name) === normalized
+                )
+                if (key !== undefined) {
+                    files[key] = await toUint8Array(files[key], `file "${key}"`)
+                    return decoder.decode(files[key])
+                }
+                const entry = base ? getEntry(base, normalized) : null
+                return entry instanceof File ? decoder.decode(entry.data) : null
+            })
+            return {options: resolved, files}
+        }
+
+        // The result of a conversion that failed with `error` before pandoc
+        // ran, like pandoc reports it (only called from the queue)
+        function failedResult(error, files) {
+            const stderr = `ERROR: ${error.message}`
+            for (const line of stderr.split("\n")) {
+                writeLine("stderr", line)
+            }
+            return {
+                stdout: "",
+                stdoutBytes: new Uint8Array(),
+                stderr: `${stderr}\n`,
+                warnings: [],
+                logs: output.logs,
+                files: {...files},
+                mediaFiles: {},
+                exitCode: error.exitCode,
+                ok: false
+            }
+        }
 
-            return uint8Array
+        // Reject options with problems like pandoc rejects options it can't
+        // decode (only called from the queue)
+        function throwIfInvalid(options) {
+            const errors = checkOptions(options)
+            if (errors.length > 0) {
+                throw new PandocError(
+                    errors.map(error => error.message).join("\n"),
+                    {
+                        exitCode: 6,
+                        category: "PandocOptionError",
+                        optionErrors: errors
+                    }
+                )
+            }
+        }
+
+        // Run a conversion whose remote resources are downloaded with
+        // `callOptions.fetch` first (only called from the queue)
+        async function runWithFetch(options, stdin, files, callOptions, base) {
+            // The inputs are read twice, so streams are read only once
+            stdin = stdin ? await toUint8Array(stdin, "stdin") : null
+            const inputFiles = {}
+            for (const filename in files) {
+                inputFiles[filename] = await toUint8Array(
+                    files[filename],
+                    `file "${filename}"`
+                )
+            }
+
+            // The downloaded files are added like the files of a workspace,
+            // so they aren't returned
+            function withFiles(fetchedFiles) {
+                const root = base ? cloneTree(base) : new Directory(new Map())
+                for (const [path, bytes] of fetchedFiles) {
+                    addFile(root, path, bytes, true)
+                }
+                return root
+            }
+
+            // A document that can't be read fails the conversion with the
+            // result of reading it, and its lines are passed to the handlers
+            let failed = null
+            function emitLogs(logs) {
+                for (const {stream, text} of logs) {
+                    emitLine(stream, text)
+                }
+            }
+            const fetched = await fetchResources(
+                options,
+                callOptions.fetch,
+                async (readOptions, fetchedFiles) => {
+                    // The conversion writes the same lines and reports the
+                    // same log messages
+                    let result
+                    try {
+                        result = await withOutput(
+                            {onStdout: () => {}, onStderr: () => {}},
+                            () =>
+                                runConvert(
+                                    readOptions,
+                                    stdin,
+                                    inputFiles,
+                                    {...callOptions, onLog: () => {}},
+                                    withFiles(fetchedFiles)
+                                )
+                        )
+                    } catch (error) {
+                        emitLogs(error.logs ?? [])
+                        throw error
+                    }
+                    if (!result.ok) {
+                        emitLogs(result.logs)
+                        failed = result
+                        return null
+                    }
+                    return JSON.parse(result.stdout)
+                }
+            )
+            if (fetched === null) {
+                return failed
+            }
+            return runConvert(
+                fetched.options,
+                stdin,
+                inputFiles,
+                callOptions,
+                withFiles(fetched.files)
+            )
+        }
+
+        // Main API: workspace function
+        // A workspace keeps its files between conversions, so large
+        // resources (reference documents, fonts, bibliographies, ...) are
+        // only copied into memory once. Conversions in a workspace see its
+        // files, but their outputs are not added to it. Workspace changes
+        // are queued like conversions, so they apply in the order made.
+        function workspace() {
+            const base = new Directory(new Map())
+
+            return {
+                writeFile(path, data) {
+                    return queue.push(async () => {
+                        const bytes = await toUint8Array(data, `file "${path}"`)
+                        setEntry(base, path, new File(bytes, {readonly: true}))
+                    })
+                },
+                readFile(path) {
+                    return queue.push(() => {
+                        const entry = getEntry(base, path)
+                        if (!(entry instanceof File)) {
+                            throw new Error(
+                                `No such file in workspace: ${path}`
+                            )
+                        }
+                        return new Blob([entry.data])
+                    })
+                },
+                // Remove a file or a directory with everything in it.
+                // Resolves to whether there was anything to remove.
+                remove(path) {
+                    return queue.push(() => removeEntry(base, path))
+                },
+                // Paths of all files in the workspace
+                list() {
+                    return queue.push(() =>
+                        Array.from(listFiles(base), ([name]) => name)
+                    )
+                },
+                convert(options, stdin, files = {}, callOptions = {}) {
+                    return queueConvert(
+                        options,
+                        stdin,
+                        files,
+                        callOptions,
+                        base
+                    )
+                }
+            }
         }
 
         const textDecoder = new TextDecoder("utf-8", {fatal: true})
@@ -290,31 +987,11 @@ export function createPandocInstance(wasmBinary) {
 
         // Legacy API: pandoc function (for backward compatibility)
         async function pandoc(args_str, inData, resources = []) {
-            // Parse command line arguments into options object
-            const argParts = args_str.trim().split(/\s+/)
-            const options = {}
+            // Parse command line arguments into options object (throws a
+            // PandocError for unknown options)
+            const options = parseArgs(args_str)
             const files = {}
 
-            let i = 0
-            while (i < argParts.length) {
-                const arg = argParts[i]
-
-                if (arg === "-f" || arg === "--from") {
-                    options.from = argParts[++i]
-                } else if (arg === "-t" || arg === "--to") {
-                    options.to = argParts[++i]
-                } else if (arg === "-o" || arg === "--output") {
-                    options["output-file"] = argParts[++i]
-                } else if (arg === "-s" || arg === "--standalone") {
-                    options.standalone = true
-                } else if (arg === "--extract-media") {
-                    options["extract-media"] = argParts[++i]
-                } else if (arg === "--toc" || arg === "--table-of-contents") {
-                    options["table-of-contents"] = true
-                }
-                i++
-            }
-
             // Add resource files (convert to string or keep as Blob)
             for (const resource of resources) {
                 // If contents is a string, keep it as string
@@ -322,24 +999,18 @@ export function createPandocInstance(wasmBinary) {
                 if (typeof resource.contents === "string") {
                     files[resource.filename] = resource.contents
                 } else {
-                    const contents = await toUint8Array(resource.contents)
+                    const contents = await toUint8Array(
+                        resource.contents,
+                        `resource "${resource.filename}"`
+                    )
                     files[resource.filename] = new Blob([contents])
                 }
             }
 
-            // Convert stdin to string
-            let stdin = null
-            if (inData) {
-                if (typeof inData === "string") {
-                    stdin = inData
-                } else {
-                    const uint8Array = await toUint8Array(inData)
-                    stdin = new TextDecoder("utf-8").decode(uint8Array)
-                }
-            }
-
-            // Call convert
-            const result = await convert(options, stdin, files)
+            // Call convert (the legacy API reports errors in its output)
+            const result = await convert(options, inData || null, files, {
+                throwOnError: false
+            })
 
             // Convert mediaFiles from Object to Map for legacy API compatibility
             const mediaFiles = new Map()
@@ -367,7 +1038,9 @@ export function createPandocInstance(wasmBinary) {
 
             return {
                 out: out,
-                mediaFiles: mediaFiles
+                mediaFiles: mediaFiles,
+                exitCode: result.exitCode,
+                ok: result.ok
             }
         }
 
@@ -375,7 +1048,14 @@ export function createPandocInstance(wasmBinary) {
         return {
             convert,
             query,
-            pandoc
+            capabilities,
+            validateOptions: validate,
+            pandoc,
+            workspace,
+            // Number of convert/query calls waiting or running
+            get queueDepth() {
+                return queue.size
+            }
         }
     })
 }
@@ -0,0 +1,127 @@
+/* pandoc-wasm: Input data conversion
+
+   Files and stdin can be given as strings or in any of the common binary
+   containers: Blobs (including Files), ArrayBuffers, typed arrays (including
+   Node.js Buffers), Responses, ReadableStreams and other async iterables
+   of chunks.
+*/
+
+const supportedTypes =
+    "a string, Blob, ArrayBuffer, typed array, Response, ReadableStream or async iterable"
+
+function isResponse(data) {
+    return typeof Response !== "undefined" && data instanceof Response
+}
+
+function isReadableStream(data) {
+    return (
+        typeof ReadableStream !== "undefined" && data instanceof ReadableStream
+    )
+}
+
+// Whether `data` has to be read asynchronously in chunks
+export function isStream(data) {
+    return (
+        isReadableStream(data) ||
+        (data !== null &&
+            typeof data === "object" &&
+            typeof data[Symbol.asyncIterator] === "function")
+    )
+}
+
+// Read all chunks of a stream. Not every browser makes ReadableStreams
+// async iterable, so those are read with a reader.
+async function readChunks(stream) {
+    const chunks = []
+    if (isReadableStream(stream) && !stream[Symbol.asyncIterator]) {
+        const reader = stream.getReader()
+        try {
+            for (;;) {
+                const {done, value} = await reader.read()
+                if (done) {
+                    break
+                }
+                chunks.push(value)
+            }
+        } finally {
+            reader.releaseLock()
+        }
+    } else {
+        for await (const chunk of stream) {
+            chunks.push(chunk)
+        }
+    }
+    return chunks
+}
+
+function concat(arrays) {
+    const result = new Uint8Array(
+        arrays.reduce((length, array) => length + array.length, 0)
+    )
+    let offset = 0
+    for (const array of arrays) {
+        result.set(array, offset)
+        offset += array.length
+    }
+    return result
+}
+
+// Convert `data` to a new Uint8Array if that can be done synchronously,
+// i.e. if it is a string, ArrayBuffer or typed array. Returns null for
+// everything else.
+export function toUint8ArraySync(data) {
+    if (typeof data === "string") {
+        return new TextEncoder().encode(data)
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data.slice(0))
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(
+            data.buffer,
+            data.byteOffset,
+            data.byteLength
+        ).slice()
+    }
+    return null
+}
+
+// Convert `data` to a new Uint8Array. Binary data is copied byte for byte,
+// strings are UTF-8 encoded. `name` describes the data in the TypeError
+// thrown for unsupported values, e.g. 'file "image.png"'.
+export async function toUint8Array(data, name = "data") {
+    const bytes = toUint8ArraySync(data)
+    if (bytes) {
+        return bytes
+    }
+    if (data instanceof Blob || isResponse(data)) {
+        if (isResponse(data) && !data.ok) {
+            throw new Error(
+                `Failed to fetch ${name}: ${data.status} ${data.statusText}`
+            )
+        }
+        return new Uint8Array(await data.arrayBuffer())
+    }
+    if (isStream(data)) {
+        const chunks = await readChunks(data)
+        return concat(
+            await Promise.all(
+                chunks.map(chunk => {
+                    if (
+                        typeof chunk === "string" ||
+                        ArrayBuffer.isView(chunk)
+                    ) {
+                        return toUint8Array(chunk, name)
+                    }
+                    throw new TypeError(
+                        `Unsupported chunk in ${name}: expected strings or typed arrays`
+                    )
+                })
+            )
+        )
+    }
+    const type = data === null ? "null" : typeof data
+    throw new TypeError(
+        `Unsupported value for ${name} (${type}): expected ${supportedTypes}`
+    )
+}
@@ -0,0 +1,185 @@
+/* pandoc-wasm: Defaults files
+
+   The options object is what pandoc reads as a defaults file, but the WASM
+   build of pandoc can't read other defaults files from it. The `defaults`
+   option is resolved here instead, like pandoc resolves "--defaults" (see
+   "Defaults files" in the pandoc manual):
+
+   - Files are looked up as given, then in the "defaults" directory of the
+     user data directory. ".yaml" is added to names without an extension.
+   - A defaults file can inherit from others with its own `defaults` key.
+     Inherited files are applied first, in order, and the file's settings
+     override them.
+   - In file paths, "${.}" is the directory of the defaults file and
+     "${USERDATA}" the user data directory.
+   - Later files override earlier ones, and the other options of the call
+     override all of them. Options that can be repeated on the command line
+     (such as filters and css) are combined, and metadata and variables are
+     merged by key.
+
+   The YAML parser is loaded when a conversion first uses a defaults file.
+*/
+
+import {PandocError} from "./errors.js"
+
+// Options that are combined instead of replaced
+const appendedKeys = [
+    "input-files",
+    "filters",
+    "metadata-files",
+    "include-in-header",
+    "include-before-body",
+    "include-after-body",
+    "css",
+    "syntax-definitions",
+    "epub-fonts",
+    "pdf-engine-opts"
+]
+const mergedKeys = ["metadata", "variables"]
+
+// Single-value forms of combined options
+const listKeys = {
+    "input-file": "input-files",
+    "metadata-file": "metadata-files"
+}
+
+const toList = value => (Array.isArray(value) ? value : [value])
+
+// Apply `options` on top of `merged`
+function mergeOptions(merged, options) {
+    for (let [key, value] of Object.entries(options)) {
+        if (value === undefined) {
+            continue
+        }
+        if (key in listKeys) {
+            key = listKeys[key]
+            value = [value]
+        }
+        if (appendedKeys.includes(key) && key in merged) {
+            merged[key] = [...toList(merged[key]), ...toList(value)]
+        } else if (
+            mergedKeys.includes(key) &&
+            merged[key] !== null &&
+            typeof merged[key] === "object" &&
+            value !== null &&
+            typeof value === "object"
+        ) {
+            merged[key] = {...merged[key], ...value}
+        } else {
+            merged[key] = value
+        }
+    }
+    return merged
+}
+
+// The directory of `path` as pandoc's takeDirectory returns it
+function directoryOf(path) {
+    const index = path.lastIndexOf("/")
+    return index === -1 ? "." : path.slice(0, index) || "/"
+}
+
+// Replace ${.} and ${USERDATA} in the file paths of a defaults file (all
+// strings except metadata and variables)
+function expandVariables(value, variables) {
+    if (typeof value === "string") {
+        return value.replace(/\$\{(\.|USERDATA)\}/g, (_, name) => {
+            if (variables[name] === null) {
+                throw new PandocError(
+                    "${USERDATA} is used in a defaults file, but there is no user data directory. Set the data-dir option.",
+                    {exitCode: 6, category: "PandocOptionError"}
+                )
+            }
+            return variables[name]
+        })
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => expandVariables(item, variables))
+    }
+    if (value !== null && typeof value === "object") {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+                key,
+                mergedKeys.includes(key)
+                    ? item
+                    : expandVariables(item, variables)
+            ])
+        )
+    }
+    return value
+}
+
+// Resolve the `defaults` option of `options`: returns the options of the
+// defaults files merged with the other options. `readFile(path)` returns
+// the text of a file, or null if there is none. Throws a PandocError for
+// missing, invalid and circular defaults files.
+export async function resolveDefaults(options, readFile) {
+    if (options.defaults === undefined) {
+        return options
+    }
+    const {parse} = await import("yaml")
+    const dataDir = options["data-dir"] ?? null
+
+    // Find and read the defaults file `name`: returns {path, text}
+    async function find(name) {
+        const file = /\.[^/.]*$/.test(name) ? name : `${name}.yaml`
+        const candidates = [file]
+        if (dataDir !== null && !file.startsWith("/")) {
+            candidates.push(`${dataDir}/defaults/${file}`)
+        }
+        for (const path of candidates) {
+            const text = await readFile(path)
+            if (text !== null) {
+                return {path, text}
+            }
+        }
+        throw new PandocError(`Could not find data file ${file}`, {
+            exitCode: 97,
+            category: "PandocCouldNotFindDataFileError"
+        })
+    }
+
+    // The options of defaults file `name` and the files it inherits from,
+    // merged. `chain` are the files that are being read.
+    async function load(name, chain) {
+        const {path, text} = await find(name)
+        if (chain.includes(path)) {
+            throw new PandocError(
+                `Circular defaults file reference in ${[...chain, path].join(" -> ")}`,
+                {exitCode: 63, category: "PandocSomeError"}
+            )
+        }
+        let contents
+        try {
+            contents = parse(text) ?? {}
+        } catch (error) {
+            throw new PandocError(
+                `Error parsing defaults file ${path}: ${error.message}`,
+                {exitCode: 64, category: "PandocParseError"}
+            )
+        }
+        if (typeof contents !== "object" || Array.isArray(contents)) {
+            throw new PandocError(
+                `Error parsing defaults file ${path}: expected a mapping`,
+                {exitCode: 64, category: "PandocParseError"}
+            )
+        }
+        const {defaults, ...own} = expandVariables(contents, {
+            ".": directoryOf(path),
+            USERDATA: dataDir
+        })
+        const merged = {}
+        for (const inherited of defaults === undefined
+            ? []
+            : toList(defaults)) {
+            mergeOptions(merged, await load(inherited, [...chain, path]))
+        }
+        return mergeOptions(merged, own)
+    }
+
+    const {defaults, ...own} = options
+    const merged = {}
+    for (const name of toList(defaults)) {
+        mergeOptions(merged, await load(name, []))
+    }
+    return mergeOptions(merged, own)
+}
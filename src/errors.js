@@ -0,0 +1,144 @@
+/* pandoc-wasm: Errors reported by pandoc
+
+   The WASM build of pandoc doesn't exit when a conversion fails. It writes
+   "ERROR: <message>" to stderr instead, so the kind of error (and with it
+   the exit code native pandoc would have used) is recognized from the
+   message.
+*/
+
+// Exit codes for pandoc's error types, from the "Exit codes" section of the
+// pandoc manual
+const exitCodes = {
+    PandocIOError: 1,
+    PandocFailOnWarningError: 3,
+    PandocAppError: 4,
+    PandocTemplateError: 5,
+    PandocOptionError: 6,
+    PandocUnknownReaderError: 21,
+    PandocUnknownWriterError: 22,
+    PandocUnsupportedExtensionError: 23,
+    PandocCiteprocError: 24,
+    PandocBibliographyError: 25,
+    PandocEpubSubdirectoryError: 31,
+    PandocPDFError: 43,
+    PandocXMLError: 44,
+    PandocPDFProgramNotFoundError: 47,
+    PandocHttpError: 61,
+    PandocShouldNeverHappenError: 62,
+    PandocSomeError: 63,
+    PandocParseError: 64,
+    PandocMakePDFError: 66,
+    PandocSyntaxMapError: 67,
+    PandocFilterError: 83,
+    PandocLuaError: 84,
+    PandocNoScriptingEngine: 89,
+    PandocMacroLoop: 91,
+    PandocUTF8DecodingError: 92,
+    PandocIpynbDecodingError: 93,
+    PandocUnsupportedCharsetError: 94,
+    PandocInputNotTextError: 95,
+    PandocCouldNotFindDataFileError: 97,
+    PandocCouldNotFindMetadataFileError: 98,
+    PandocResourceNotFound: 99
+}
+
+// How pandoc's messages for each error type start (or look)
+const categoryPatterns = [
+    [/^Unknown input format /, "PandocUnknownReaderError"],
+    [/^Unknown output format /, "PandocUnknownWriterError"],
+    [
+        /^The extension \S+ is not supported for /,
+        "PandocUnsupportedExtensionError"
+    ],
+    [/^Error running filter /, "PandocFilterError"],
+    [/^Error running Lua:/, "PandocLuaError"],
+    [/^Error at /, "PandocParseError"],
+    [/^Error parsing YAML metadata /, "PandocParseError"],
+    [/^Error compiling template /, "PandocTemplateError"],
+    [/^Error reading bibliography file /, "PandocBibliographyError"],
+    [/^Loop encountered in expanding macro /, "PandocMacroLoop"],
+    [/^UTF-8 decoding error in /, "PandocUTF8DecodingError"],
+    [/^ipynb decoding error: /, "PandocIpynbDecodingError"],
+    [/^Unsupported charset /, "PandocUnsupportedCharsetError"],
+    [/^Expected text as an input, /, "PandocInputNotTextError"],
+    [/^Could not find data file /, "PandocCouldNotFindDataFileError"],
+    [/^Could not find metadata file /, "PandocCouldNotFindMetadataFileError"],
+    [/^File .* not found in resource path/, "PandocResourceNotFound"],
+    [/^EPUB subdirectory name /, "PandocEpubSubdirectoryError"],
+    [/^Something we thought was impossible /, "PandocShouldNeverHappenError"],
+    [/^Failing because there were warnings/, "PandocFailOnWarningError"],
+    [/^Could not fetch /, "PandocHttpError"],
+    [/^This version of pandoc has been compiled /, "PandocNoScriptingEngine"],
+    [/^Invalid XML/, "PandocXMLError"],
+    // The options object couldn't be decoded
+    [/^Error in \$/, "PandocOptionError"],
+    // Haskell IO exceptions, e.g. "a.md: withBinaryFile: does not exist"
+    [/^[^\n]*: \w+: [^\n]*\([^)]*\)$/m, "PandocIOError"]
+]
+
+// Source positions as pandoc reports them, e.g.
+// Error at "/stdin" (line 4, column 2)
+const positionPattern = /"([^"\n]*)" \(line (\d+), column (\d+)\)/
+// Lua errors, e.g. "filter.lua:12: attempt to call a nil value"
+const luaPositionPattern = /^([^\s:]+\.lua):(\d+):/m
+
+export class PandocError extends Error {
+    // `details` holds the exitCode, category, position, stdout,
+    // stdoutBytes, stderr, warnings and logs of the failed conversion, and
+    // for conversions rejected in strict mode the `optionErrors`
+    constructor(message, details = {}) {
+        super(message)
+        this.name = "PandocError"
+        this.exitCode = details.exitCode ?? exitCodes.PandocSomeError
+        this.category = details.category ?? "PandocSomeError"
+        this.position = details.position ?? null
+        this.stdout = details.stdout ?? ""
+        this.stdoutBytes = details.stdoutBytes ?? new Uint8Array()
+        this.stderr = details.stderr ?? ""
+        this.warnings = details.warnings ?? []
+        this.logs = details.logs ?? []
+        this.optionErrors = details.optionErrors ?? []
+    }
+}
+
+// The name of the error type that pandoc exits with `exitCode` for
+export function categoryForExitCode(exitCode) {
+    const entry = Object.entries(exitCodes).find(
+        ([, code]) => code === exitCode
+    )
+    return entry ? entry[0] : "PandocSomeError"
+}
+
+function parsePosition(message) {
+    const match = positionPattern.exec(message)
+    if (match) {
+        return {
+            source: match[1],
+            line: Number(match[2]),
+            column: Number(match[3])
+        }
+    }
+    const luaMatch = luaPositionPattern.exec(message)
+    if (luaMatch) {
+        return {source: luaMatch[1], line: Number(luaMatch[2]), column: null}
+    }
+    return null
+}
+
+// Find the error in pandoc's stderr output. Returns null if there is none,
+// and otherwise the exitCode, category, message and position (or null)
+export function parsePandocError(stderr) {
+    const start = stderr.search(/^ERROR: /m)
+    if (start === -1) {
+        return null
+    }
+    const message = stderr.slice(start + "ERROR: ".length).trim()
+    const match = categoryPatterns.find(([pattern]) => pattern.test(message))
+    const category = match ? match[1] : "PandocSomeError"
+    return {
+        exitCode: exitCodes[category],
+        category,
+        message,
+        position: parsePosition(message)
+    }
+}
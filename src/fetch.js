@@ -0,0 +1,284 @@
+/* pandoc-wasm: Remote resources
+
+   Pandoc can't make HTTP requests from the WASM sandbox. With the `fetch`
+   call option, the URLs a conversion needs are downloaded beforehand with
+   the caller's fetch function, and pandoc is given local copies instead:
+   - URLs in options that name files (input files, bibliographies, the
+     reference doc, ...) are replaced by the paths of the copies
+   - the document is read once as JSON to find its images and the
+     bibliography and CSL style in its metadata. A Lua filter replaces
+     these URLs in the document before the other filters run.
+   Images and stylesheets are only downloaded if the output embeds them
+   (--embed-resources, docx, epub, ... or --extract-media). Otherwise they
+   are left as links.
+*/
+
+import {toUint8Array} from "./data.js"
+
+// Directory in the virtual filesystem for the downloaded files
+const fetchedDirectory = ".fetched"
+
+// Options whose values are the paths of files pandoc reads
+const fileOptions = [
+    "input-files",
+    "bibliography",
+    "csl",
+    "citation-abbreviations",
+    "reference-doc",
+    "metadata-files",
+    "include-in-header",
+    "include-before-body",
+    "include-after-body",
+    "syntax-definitions",
+    "abbreviations",
+    "template",
+    "epub-cover-image",
+    "epub-metadata",
+    "epub-fonts"
+]
+
+// Options and metadata fields that name files only read to embed them
+const embeddedOptions = ["css"]
+
+// Metadata fields that name files pandoc reads
+const fileMetadata = ["bibliography", "csl", "citation-abbreviations"]
+
+// Output formats that contain their images
+const embeddingFormats = [
+    "docx",
+    "epub",
+    "epub2",
+    "epub3",
+    "fb2",
+    "icml",
+    "odt",
+    "pptx"
+]
+
+// Options that don't affect what is read, left out when looking for the
+// URLs in the document
+const writerOptions = [
+    "output-file",
+    "extract-media",
+    "embed-resources",
+    "self-contained",
+    "standalone",
+    "template",
+    "filters",
+    "citeproc"
+]
+
+function isRemote(value) {
+    return typeof value === "string" && /^https?:\/\//i.test(value)
+}
+
+// Whether the output of a conversion with `options` contains its images
+function embedsResources(options) {
+    const to = options.to ?? options.writer
+    const format = typeof to === "string" ? to : ""
+    return Boolean(
+        options["embed-resources"] ||
+            options["self-contained"] ||
+            options["extract-media"] ||
+            embeddingFormats.includes(format.split(/[+-]/)[0])
+    )
+}
+
+// The text of a metadata value or a list of inlines from the JSON AST
+function stringify(node) {
+    if (Array.isArray(node)) {
+        return node.map(stringify).join("")
+    }
+    switch (node?.t) {
+        case "Str":
+        case "MetaString":
+            return node.c
+        case "Space":
+        case "SoftBreak":
+            return " "
+        case "MetaInlines":
+        case "Emph":
+        case "Strong":
+        case "Span":
+            return stringify(node.t === "Span" ? node.c[1] : node.c)
+        case "Link":
+            return stringify(node.c[1])
+        default:
+            return ""
+    }
+}
+
+// All image sources in the JSON AST `node`
+function* imageSources(node) {
+    if (Array.isArray(node)) {
+        for (const child of node) {
+            yield* imageSources(child)
+        }
+    } else if (node !== null && typeof node === "object") {
+        if (node.t === "Image") {
+            yield node.c[2][0]
+        }
+        yield* imageSources(node.c)
+    }
+}
+
+// The URLs in a metadata value (a single value or a MetaList)
+function metadataUrls(value) {
+    if (value?.t === "MetaList") {
+        return value.c.map(stringify).filter(isRemote)
+    }
+    const text = value ? stringify(value) : ""
+    return isRemote(text) ? [text] : []
+}
+
+// A name for the local copy of `url`, keeping the file extension that
+// pandoc uses to tell the type of the file
+function fileName(url) {
+    let name = ""
+    try {
+        const segments = new URL(url).pathname.split("/")
+        name = decodeURIComponent(segments[segments.length - 1])
+    } catch (_e) {
+        // Not a valid URL or escape sequence, use the default name
+    }
+    name = name.replace(/[/\\]/g, "_")
+    return name === "" || name === "." || name === ".." ? "resource" : name
+}
+
+// A Lua filter that replaces the URLs in `paths` (url -> path) in images
+// and in the metadata fields `metadataKeys`
+function rewriteFilter(paths, metadataKeys) {
+    // The tables are embedded as JSON in a Lua long string, which can't
+    // contain "]]". Brackets only occur in the strings of the JSON object.
+    const json = JSON.stringify({
+        paths: Object.fromEntries(paths),
+        keys: Object.fromEntries(metadataKeys.map(key => [key, true]))
+    }).replaceAll("]", "\\u005d")
+    return `local tables = pandoc.json.decode([[${json}]])
+local paths = tables.paths
+
+local function localize(value)
+  if pandoc.utils.type(value) == "List" then
+    return value:map(localize)
+  end
+  local path = paths[pandoc.utils.stringify(value)]
+  return path and pandoc.MetaString(path) or value
+end
+
+return {
+  {
+    Meta = function(meta)
+      for key in pairs(tables.keys) do
+        if meta[key] ~= nil then
+          meta[key] = localize(meta[key])
+        end
+      end
+      return meta
+    end,
+    Image = function(image)
+      local path = paths[image.src]
+      if path then
+        image.src = path
+        return image
+      end
+    end,
+  },
+}
+`
+}
+
+// Download the remote resources of a conversion with `fetch(url)`, which
+// returns the contents (anything accepted as a file value, e.g. a
+// Response), or null to leave the URL as it is. `readDocument(options,
+// files)` converts the inputs to the JSON AST with the given options and
+// the downloaded files, or returns null if they can't be read.
+// Resolves to the options to convert with and the files to add, as a Map
+// of path -> bytes, or null if the document can't be read.
+export async function fetchResources(options, fetch, readDocument) {
+    const embedding = embedsResources(options)
+    const files = new Map()
+    // Local paths (or null if not found) of the URLs, by URL
+    const paths = new Map()
+
+    async function download(url) {
+        if (!paths.has(url)) {
+            const value = await fetch(url)
+            let path = null
+            if (value != null) {
+                path = `${fetchedDirectory}/${paths.size}/${fileName(url)}`
+                files.set(path, await toUint8Array(value, `resource "${url}"`))
+            }
+            paths.set(url, path)
+        }
+        return paths.get(url)
+    }
+
+    // Replace the URLs in options that name files
+    const optionNames = embedding
+        ? [...fileOptions, ...embeddedOptions]
+        : fileOptions
+    const localOptions = {...options}
+    for (const name of optionNames) {
+        const value = options[name]
+        if (Array.isArray(value)) {
+            const localValue = []
+            for (const item of value) {
+                localValue.push(
+                    isRemote(item) ? ((await download(item)) ?? item) : item
+                )
+            }
+            localOptions[name] = localValue
+        } else if (isRemote(value)) {
+            localOptions[name] = (await download(value)) ?? value
+        }
+    }
+
+    // Find the URLs in the document
+    const readOptions = {...localOptions, to: "json"}
+    for (const name of ["writer", ...writerOptions]) {
+        delete readOptions[name]
+    }
+    const document = await readDocument(readOptions, files)
+    if (document === null) {
+        return null
+    }
+    const urls = new Set()
+    const metadataKeys = embedding
+        ? [...fileMetadata, ...embeddedOptions]
+        : fileMetadata
+    for (const name of metadataKeys) {
+        for (const url of metadataUrls(document.meta[name])) {
+            urls.add(url)
+        }
+    }
+    if (embedding) {
+        for (const src of imageSources(document.blocks)) {
+            if (isRemote(src)) {
+                urls.add(src)
+            }
+        }
+    }
+
+    // Replace them with a filter that runs before the others
+    const documentPaths = new Map()
+    for (const url of urls) {
+        const path = await download(url)
+        if (path !== null) {
+            documentPaths.set(url, path)
+        }
+    }
+    if (documentPaths.size > 0) {
+        const filter = `${fetchedDirectory}/rewrite.lua`
+        files.set(
+            filter,
+            new TextEncoder().encode(rewriteFilter(documentPaths, metadataKeys))
+        )
+        // `citeproc: true` runs citeproc before all filters, so it is
+        // turned into a filter that runs after this one
+        const citeproc = localOptions.citeproc ? [{type: "citeproc"}] : []
+        delete localOptions.citeproc
+        localOptions.filters = [filter, ...citeproc, ...(options.filters ?? [])]
+    }
+
+    return {options: localOptions, files}
+}
@@ -0,0 +1,159 @@
+/* pandoc-wasm: Virtual filesystem helpers
+
+   Pandoc sees the files of a conversion in a tree of WASI Directory and
+   File nodes. The `files` object passed to convert() uses POSIX paths
+   relative to that root as keys ("img/a.png", "./img/a.png" and
+   "/img/a.png" are the same file). Directories are created on demand, and
+   the tree is flattened back to the same kind of keys afterwards.
+   Directories marked as `external` (mounted host directories) are left
+   out when the tree is flattened.
+*/
+
+import {
+    Directory,
+    File,
+    PreopenDirectory,
+    wasi
+} from "@bjorn3/browser_wasi_shim"
+
+// Normalize a path to the form used for keys, e.g. "./img//a.png" to
+// "img/a.png". Paths are always relative to the root directory.
+export function normalizePath(path) {
+    const parts = []
+    for (const part of String(path).split("/")) {
+        if (part === "" || part === ".") {
+            continue
+        }
+        if (part === "..") {
+            if (parts.length === 0) {
+                throw new TypeError(`Path outside the root directory: ${path}`)
+            }
+            parts.pop()
+        } else {
+            parts.push(part)
+        }
+    }
+    if (parts.length === 0) {
+        throw new TypeError(`Invalid file path: ${path}`)
+    }
+    return parts.join("/")
+}
+
+// Get the file or directory at `path` in `root`, or null if there is none
+export function getEntry(root, path) {
+    let entry = root
+    for (const part of normalizePath(path).split("/")) {
+        if (!(entry instanceof Directory)) {
+            return null
+        }
+        entry = entry.contents.get(part) ?? null
+        if (entry === null) {
+            return null
+        }
+    }
+    return entry
+}
+
+// Put `inode` at `path` in `root`, creating missing parent directories
+export function setEntry(root, path, inode) {
+    const parts = normalizePath(path).split("/")
+    const name = parts.pop()
+    let directory = root
+    for (const part of parts) {
+        let child = directory.contents.get(part)
+        if (child === undefined) {
+            child = new Directory(new Map())
+            child.parent = directory
+            directory.contents.set(part, child)
+        } else if (!(child instanceof Directory)) {
+            throw new TypeError(
+                `Can't create ${path}: ${part} is a file, not a directory`
+            )
+        }
+        directory = child
+    }
+    if (inode instanceof Directory) {
+        inode.parent = directory
+    }
+    directory.contents.set(name, inode)
+}
+
+// Remove the file or directory at `path` from `root`. Returns whether
+// there was anything to remove.
+export function removeEntry(root, path) {
+    const parts = normalizePath(path).split("/")
+    const name = parts.pop()
+    const parent = parts.length === 0 ? root : getEntry(root, parts.join("/"))
+    return parent instanceof Directory && parent.contents.delete(name)
+}
+
+// Copy the directories of the tree `directory`. The files are shared with
+// the original tree, so they aren't copied.
+export function cloneTree(directory) {
+    const clone = new Directory(new Map())
+    for (const [name, entry] of directory.contents) {
+        if (entry instanceof Directory) {
+            const child = cloneTree(entry)
+            child.parent = clone
+            clone.contents.set(name, child)
+        } else {
+            clone.contents.set(name, entry)
+        }
+    }
+    return clone
+}
+
+// All files in `directory` and its subdirectories as [path, File] pairs,
+// with POSIX paths relative to `directory` (prefixed with `prefix`)
+export function* listFiles(directory, prefix = "") {
+    for (const [name, entry] of directory.contents) {
+        const path = prefix + name
+        if (entry.external) {
+            continue
+        }
+        if (entry instanceof Directory) {
+            yield* listFiles(entry, `${path}/`)
+        } else if (entry instanceof File) {
+            yield [path, entry]
+        }
+    }
+}
+
+// The directory pandoc sees as "/". If `onMissing(path)` is set, it is
+// called with the normalized path whenever pandoc looks for a file that
+// doesn't exist, before the lookup fails, so the file can still be added.
+export class RootDirectory extends PreopenDirectory {
+    constructor() {
+        super("/", new Map())
+        this.onMissing = null
+    }
+
+    lookupMissing(pathString) {
+        if (!this.onMissing) {
+            return
+        }
+        let path
+        try {
+            path = normalizePath(pathString)
+        } catch (_e) {
+            // The root itself or a path outside of it
+            return
+        }
+        if (getEntry(this.dir, path) === null) {
+            this.onMissing(path)
+        }
+    }
+
+    path_filestat_get(flags, path_str) {
+        this.lookupMissing(path_str)
+        return super.path_filestat_get(flags, path_str)
+    }
+
+    path_open(dirflags, path_str, oflags, ...rest) {
+        // Files opened for creation don't have to exist
+        if ((oflags & wasi.OFLAGS_CREAT) === 0) {
+            this.lookupMissing(path_str)
+        }
+        return super.path_open(dirflags, path_str, oflags, ...rest)
+    }
+}
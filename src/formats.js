@@ -0,0 +1,299 @@
+/* pandoc-wasm: Pandoc's formats
+
+   What there is to know about each format of the bundled pandoc to read or
+   write files in it: whether pandoc can read and write it, whether its
+   files are binary (zip) files, the usual file name extension and MIME
+   type, and whether the writer always produces a standalone document
+   (the standalone option makes no difference).
+*/
+
+// Formats pandoc can read
+const readers = [
+    "asciidoc",
+    "biblatex",
+    "bibtex",
+    "bits",
+    "commonmark",
+    "commonmark_x",
+    "creole",
+    "csljson",
+    "csv",
+    "djot",
+    "docbook",
+    "docx",
+    "dokuwiki",
+    "endnotexml",
+    "epub",
+    "fb2",
+    "gfm",
+    "haddock",
+    "html",
+    "ipynb",
+    "jats",
+    "jira",
+    "json",
+    "latex",
+    "man",
+    "markdown",
+    "markdown_github",
+    "markdown_mmd",
+    "markdown_phpextra",
+    "markdown_strict",
+    "mdoc",
+    "mediawiki",
+    "muse",
+    "native",
+    "odt",
+    "opml",
+    "org",
+    "pod",
+    "pptx",
+    "ris",
+    "rst",
+    "rtf",
+    "t2t",
+    "textile",
+    "tikiwiki",
+    "tsv",
+    "twiki",
+    "typst",
+    "vimwiki",
+    "xlsx",
+    "xml"
+]
+
+// Formats pandoc can write
+const writers = [
+    "ansi",
+    "asciidoc",
+    "asciidoc_legacy",
+    "asciidoctor",
+    "bbcode",
+    "bbcode_fluxbb",
+    "bbcode_hubzilla",
+    "bbcode_phpbb",
+    "bbcode_steam",
+    "bbcode_xenforo",
+    "beamer",
+    "biblatex",
+    "bibtex",
+    "chunkedhtml",
+    "commonmark",
+    "commonmark_x",
+    "context",
+    "csljson",
+    "djot",
+    "docbook",
+    "docbook4",
+    "docbook5",
+    "docx",
+    "dokuwiki",
+    "dzslides",
+    "epub",
+    "epub2",
+    "epub3",
+    "fb2",
+    "gfm",
+    "haddock",
+    "html",
+    "html4",
+    "html5",
+    "icml",
+    "ipynb",
+    "jats",
+    "jats_archiving",
+    "jats_articleauthoring",
+    "jats_publishing",
+    "jira",
+    "json",
+    "latex",
+    "man",
+    "markdown",
+    "markdown_github",
+    "markdown_mmd",
+    "markdown_phpextra",
+    "markdown_strict",
+    "markua",
+    "mediawiki",
+    "ms",
+    "muse",
+    "native",
+    "odt",
+    "opendocument",
+    "opml",
+    "org",
+    "pdf",
+    "plain",
+    "pptx",
+    "revealjs",
+    "rst",
+    "rtf",
+    "s5",
+    "slideous",
+    "slidy",
+    "tei",
+    "texinfo",
+    "textile",
+    "typst",
+    "vimdoc",
+    "xml",
+    "xwiki",
+    "zimwiki"
+]
+
+const markdown = ["md", "text/markdown"]
+const html = ["html", "text/html"]
+const text = ["txt", "text/plain"]
+const tex = ["tex", "application/x-tex"]
+const xml = ["xml", "application/xml"]
+const docbook = ["xml", "application/docbook+xml"]
+const jats = ["xml", "application/jats+xml"]
+const bibtex = ["bib", "application/x-bibtex"]
+const epub = ["epub", "application/epub+zip"]
+
+// [extension, MIME type] of each format
+const fileTypes = {
+    ansi: text,
+    asciidoc: ["adoc", "text/plain"],
+    asciidoc_legacy: ["adoc", "text/plain"],
+    asciidoctor: ["adoc", "text/plain"],
+    bbcode: text,
+    bbcode_fluxbb: text,
+    bbcode_hubzilla: text,
+    bbcode_phpbb: text,
+    bbcode_steam: text,
+    bbcode_xenforo: text,
+    beamer: tex,
+    biblatex: bibtex,
+    bibtex: bibtex,
+    bits: xml,
+    chunkedhtml: ["zip", "application/zip"],
+    commonmark: markdown,
+    commonmark_x: markdown,
+    context: tex,
+    creole: text,
+    csljson: ["json", "application/vnd.citationstyles.csl+json"],
+    csv: ["csv", "text/csv"],
+    djot: ["dj", "text/plain"],
+    docbook: docbook,
+    docbook4: docbook,
+    docbook5: docbook,
+    docx: [
+        "docx",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    ],
+    dokuwiki: text,
+    dzslides: html,
+    endnotexml: xml,
+    epub: epub,
+    epub2: epub,
+    epub3: epub,
+    fb2: ["fb2", "application/x-fictionbook+xml"],
+    gfm: markdown,
+    haddock: text,
+    html: html,
+    html4: html,
+    html5: html,
+    icml: ["icml", "application/xml"],
+    ipynb: ["ipynb", "application/x-ipynb+json"],
+    jats: jats,
+    jats_archiving: jats,
+    jats_articleauthoring: jats,
+    jats_publishing: jats,
+    jira: text,
+    json: ["json", "application/json"],
+    latex: tex,
+    man: ["1", "text/troff"],
+    markdown: markdown,
+    markdown_github: markdown,
+    markdown_mmd: markdown,
+    markdown_phpextra: markdown,
+    markdown_strict: markdown,
+    markua: markdown,
+    mdoc: ["1", "text/troff"],
+    mediawiki: ["wiki", "text/plain"],
+    ms: ["ms", "text/troff"],
+    muse: ["muse", "text/plain"],
+    native: ["native", "text/plain"],
+    odt: ["odt", "application/vnd.oasis.opendocument.text"],
+    opendocument: xml,
+    opml: ["opml", "text/x-opml"],
+    org: ["org", "text/plain"],
+    pdf: ["pdf", "application/pdf"],
+    plain: text,
+    pod: ["pod", "text/plain"],
+    pptx: [
+        "pptx",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+    ],
+    revealjs: html,
+    ris: ["ris", "application/x-research-info-systems"],
+    rst: ["rst", "text/x-rst"],
+    rtf: ["rtf", "application/rtf"],
+    s5: html,
+    slideous: html,
+    slidy: html,
+    t2t: ["t2t", "text/plain"],
+    tei: ["xml", "application/tei+xml"],
+    texinfo: ["texi", "application/x-texinfo"],
+    textile: ["textile", "text/plain"],
+    tikiwiki: text,
+    tsv: ["tsv", "text/tab-separated-values"],
+    twiki: text,
+    typst: ["typ", "text/plain"],
+    vimdoc: text,
+    vimwiki: ["wiki", "text/plain"],
+    xlsx: [
+        "xlsx",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    ],
+    xml: xml,
+    xwiki: text,
+    zimwiki: text
+}
+
+// Formats whose files are zip (or PDF) files rather than text
+const binaryFormats = [
+    "chunkedhtml",
+    "docx",
+    "epub",
+    "epub2",
+    "epub3",
+    "odt",
+    "pdf",
+    "pptx",
+    "xlsx"
+]
+
+// Writers that always produce a complete document
+const standaloneFormats = [...binaryFormats, "fb2", "ipynb"]
+
+// The formats by name: {name, reader, writer, binary, extension, mimeType,
+// standalone}
+export const formats = Object.freeze(
+    Object.fromEntries(
+        Object.entries(fileTypes).map(([name, [extension, mimeType]]) => [
+            name,
+            Object.freeze({
+                name,
+                reader: readers.includes(name),
+                writer: writers.includes(name),
+                binary: binaryFormats.includes(name),
+                extension,
+                mimeType,
+                standalone: standaloneFormats.includes(name)
+            })
+        ])
+    )
+)
+
+// The format of `format`, which can have extensions (e.g.
+// "markdown+smart"), or null for custom readers and writers (".lua" files)
+// and unknown formats
+export function formatInfo(format) {
+    if (typeof format !== "string") {
+        return null
+    }
+    const name = format.split(/[+-]/)[0]
+    return Object.hasOwn(formats, name) ? formats[name] : null
+}
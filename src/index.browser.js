@@ -1,21 +1,85 @@
 /* pandoc-wasm: Browser entry point
 
    This file is used when bundling for browsers.
-   It loads the WASM binary via fetch/import.
+   It loads the WASM binary via fetch/import, but only once a pandoc
+   instance is actually needed.
 */
 
-import {createPandocInstance} from "./core.js"
+import {compileWasm, createLazyApi, createPandocInstance} from "./core.js"
+import {createWorkerProxy} from "./worker-proxy.browser.js"
 
-// Load WASM file for browser
-const pandocWasmModule = await import("./pandoc.wasm")
-const pandocWasmLocation = pandocWasmModule.default
-const pandocWasmFetch = await fetch(pandocWasmLocation)
-const pandocWasm = await pandocWasmFetch.arrayBuffer()
+export {
+    PandocError,
+    formatInfo,
+    formatWarning,
+    formats,
+    parseArgs,
+    toCommandLine
+} from "./core.js"
 
-// Create pandoc instance
-const pandocInstance = await createPandocInstance(pandocWasm)
+// Location of the WASM asset, as resolved by the bundler
+async function defaultWasmUrl() {
+    return (await import("./pandoc.wasm")).default
+}
+
+// Create a pandoc instance. Options:
+// - wasm: URL, Response, ArrayBuffer or precompiled WebAssembly.Module
+// - wasmUrl: location of pandoc.wasm (defaults to the bundled asset)
+// - rtsOptions: array of GHC runtime options (defaults to ["-H64m"])
+// - onStdout, onStderr: called with each line the WASM program writes to
+//   its stdout or stderr (such as print() output of Lua filters)
+// - onLog: called with each log message of a conversion
+// - silent: don't write that output to the console when there are no
+//   callbacks for it
+// - strict: reject conversions with invalid options (see validateOptions)
+export async function createPandoc({
+    wasm,
+    wasmUrl,
+    rtsOptions,
+    onStdout,
+    onStderr,
+    onLog,
+    silent,
+    strict
+} = {}) {
+    if (!wasm) {
+        wasm = wasmUrl ?? (await defaultWasmUrl())
+    }
+    const module = await compileWasm(wasm)
+    return createPandocInstance(module, {
+        rtsOptions,
+        onStdout,
+        onStderr,
+        onLog,
+        silent,
+        strict
+    })
+}
+
+// Create a pandoc instance in a Web Worker and return a proxy with the same
+// convert/query API. Takes the same options as createPandoc(), except for
+// the callbacks, which can't be passed to a worker, plus `worker` for a
+// Worker running src/worker.browser.js (or a function that creates one).
+export async function createPandocWorker({
+    wasm,
+    wasmUrl,
+    worker,
+    rtsOptions,
+    silent,
+    strict
+} = {}) {
+    if (!wasm) {
+        wasm = wasmUrl ?? (await defaultWasmUrl())
+    }
+    return createWorkerProxy({wasm, worker, rtsOptions, silent, strict})
+}
+
+// Default instance, created on first use
+const defaultApi = createLazyApi(() => createPandoc())
 
 // Export the API
-export const convert = pandocInstance.convert
-export const query = pandocInstance.query
-export const pandoc = pandocInstance.pandoc
+export const convert = defaultApi.convert
+export const query = defaultApi.query
+export const capabilities = defaultApi.capabilities
+export const validateOptions = defaultApi.validateOptions
+export const pandoc = defaultApi.pandoc
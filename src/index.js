@@ -22,6 +22,19 @@ if (isNode) {
 }
 
 // Re-export the API
+export const createPandoc = pandocModule.createPandoc
 export const convert = pandocModule.convert
 export const query = pandocModule.query
+export const capabilities = pandocModule.capabilities
+export const validateOptions = pandocModule.validateOptions
 export const pandoc = pandocModule.pandoc
+export const PandocError = pandocModule.PandocError
+export const formatWarning = pandocModule.formatWarning
+export const parseArgs = pandocModule.parseArgs
+export const toCommandLine = pandocModule.toCommandLine
+export const formats = pandocModule.formats
+export const formatInfo = pandocModule.formatInfo
+// Only available in Node.js
+export const createPandocPool = pandocModule.createPandocPool
+// Only available in browsers
+export const createPandocWorker = pandocModule.createPandocWorker
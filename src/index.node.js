@@ -1,24 +1,62 @@
 /* pandoc-wasm: Node.js entry point
 
    This file is used when running in Node.js.
-   It loads the WASM binary from the filesystem.
+   It loads the WASM binary from the filesystem, but only once a pandoc
+   instance is actually needed.
 */
 
-import {readFileSync} from "node:fs"
-import {dirname, join} from "node:path"
-import {fileURLToPath} from "node:url"
-import {createPandocInstance} from "./core.js"
+import {createLazyApi, createPandocInstance} from "./core.js"
+import {mountDirectory} from "./mount.node.js"
+import {compileNodeWasm} from "./wasm.node.js"
 
-// Load WASM file from filesystem
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = dirname(__filename)
-const wasmPath = join(__dirname, "pandoc.wasm")
-const pandocWasm = readFileSync(wasmPath)
+export {
+    PandocError,
+    formatInfo,
+    formatWarning,
+    formats,
+    parseArgs,
+    toCommandLine
+} from "./core.js"
+export {createPandocPool} from "./pool.node.js"
 
-// Create pandoc instance
-const pandocInstance = await createPandocInstance(pandocWasm)
+// Create a pandoc instance. Options:
+// - wasm: URL, Response, ArrayBuffer or precompiled WebAssembly.Module
+// - wasmUrl: location of pandoc.wasm (defaults to the packaged binary)
+// - rtsOptions: array of GHC runtime options (defaults to ["-H64m"])
+// - onStdout, onStderr: called with each line the WASM program writes to
+//   its stdout or stderr (such as print() output of Lua filters)
+// - onLog: called with each log message of a conversion
+// - silent: don't write that output to the console when there are no
+//   callbacks for it
+// - strict: reject conversions with invalid options (see validateOptions)
+export async function createPandoc({
+    wasm,
+    wasmUrl,
+    rtsOptions,
+    onStdout,
+    onStderr,
+    onLog,
+    silent,
+    strict
+} = {}) {
+    const module = await compileNodeWasm({wasm, wasmUrl})
+    return createPandocInstance(module, {
+        rtsOptions,
+        mountDirectory,
+        onStdout,
+        onStderr,
+        onLog,
+        silent,
+        strict
+    })
+}
+
+// Default instance, created on first use
+const defaultApi = createLazyApi(() => createPandoc())
 
 // Export the API
-export const convert = pandocInstance.convert
-export const query = pandocInstance.query
-export const pandoc = pandocInstance.pandoc
+export const convert = defaultApi.convert
+export const query = defaultApi.query
+export const capabilities = defaultApi.capabilities
+export const validateOptions = defaultApi.validateOptions
+export const pandoc = defaultApi.pandoc
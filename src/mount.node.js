@@ -0,0 +1,189 @@
+/* pandoc-wasm: Host directories in the pandoc sandbox (Node.js only)
+
+   A mounted host directory appears as a directory in pandoc's virtual
+   filesystem. Its listing and file contents are read from disk when pandoc
+   first looks at them, so only the files pandoc actually uses are read.
+
+   Pandoc can't see anything outside the mounted directory: symbolic links
+   that point outside of it are left out. Changes pandoc makes to a
+   read-only mount only exist in memory for the duration of the call. The
+   changes to a writable mount are written to disk once the conversion has
+   succeeded.
+*/
+
+import {
+    mkdirSync,
+    readFileSync,
+    readdirSync,
+    realpathSync,
+    rmSync,
+    statSync,
+    writeFileSync
+} from "node:fs"
+import {join, relative, resolve, sep} from "node:path"
+import {fileURLToPath} from "node:url"
+import {Directory, File, wasi} from "@bjorn3/browser_wasi_shim"
+
+const writeRight = BigInt(wasi.RIGHTS_FD_WRITE)
+
+// Whether the real path `path` is `root` or inside it
+function isInside(root, path) {
+    const rel = relative(root, path)
+    return rel === "" || (!rel.startsWith(`..${sep}`) && rel !== "..")
+}
+
+// A file on disk, read when its contents are first needed
+class HostFile extends File {
+    constructor(hostPath, readonly) {
+        super(new Uint8Array(), {readonly})
+        this.hostPath = hostPath
+        this.bytes = null
+        this.changed = false
+    }
+
+    get data() {
+        if (this.bytes === null) {
+            this.bytes = new Uint8Array(readFileSync(this.hostPath))
+        }
+        return this.bytes
+    }
+
+    set data(value) {
+        this.bytes = value
+        this.changed = true
+    }
+
+    get size() {
+        if (this.bytes === null) {
+            return BigInt(statSync(this.hostPath).size)
+        }
+        return BigInt(this.bytes.byteLength)
+    }
+
+    path_open(oflags, fs_rights_base, fd_flags) {
+        const result = super.path_open(oflags, fs_rights_base, fd_flags)
+        // Writes that don't resize the file don't go through the setter
+        if (result.fd_obj && (fs_rights_base & writeRight) === writeRight) {
+            this.changed = true
+        }
+        return result
+    }
+}
+
+// A directory on disk, listed when its contents are first needed
+class HostDirectory extends Directory {
+    constructor(hostPath, mount) {
+        super(new Map())
+        this.hostPath = hostPath
+        this.mount = mount
+        // Names of the entries on disk, once listed
+        this.diskNames = null
+        // Not part of the files returned by convert()
+        this.external = true
+    }
+
+    get contents() {
+        if (this.diskNames === null) {
+            this.diskNames = new Set()
+            for (const entry of readdirSync(this.hostPath, {
+                withFileTypes: true
+            })) {
+                const child = this.mount.createEntry(
+                    join(this.hostPath, entry.name),
+                    entry
+                )
+                if (child) {
+                    if (child instanceof Directory) {
+                        child.parent = this
+                    }
+                    this.entries.set(entry.name, child)
+                    this.diskNames.add(entry.name)
+                }
+            }
+        }
+        return this.entries
+    }
+
+    set contents(value) {
+        this.entries = value
+    }
+}
+
+// Write the changes made to `directory` to `hostPath`
+function commitDirectory(directory, hostPath) {
+    if (directory instanceof HostDirectory && directory.hostPath === hostPath) {
+        if (directory.diskNames === null) {
+            // Never listed, so nothing has changed
+            return
+        }
+        for (const name of directory.diskNames) {
+            if (!directory.entries.has(name)) {
+                rmSync(join(hostPath, name), {recursive: true, force: true})
+            }
+        }
+    } else {
+        mkdirSync(hostPath, {recursive: true})
+    }
+    for (const [name, entry] of directory.entries ?? directory.contents) {
+        const target = join(hostPath, name)
+        if (entry instanceof Directory) {
+            commitDirectory(entry, target)
+        } else if (entry instanceof HostFile) {
+            if (entry.changed || entry.hostPath !== target) {
+                writeFileSync(target, entry.data)
+            }
+        } else if (entry instanceof File && !entry.readonly) {
+            // A new file created by pandoc. Read-only files are the ones
+            // passed to convert(), which are never written to disk.
+            writeFileSync(target, entry.data)
+        }
+    }
+}
+
+// Create the directory for a mount. `spec` is the path of the host
+// directory, or {path, readonly} to make it writable (readonly is the
+// default). Returns the Directory and a commit() function that writes the
+// changes to disk.
+export function mountDirectory(spec) {
+    const {path, readonly = true} =
+        typeof spec === "string" || spec instanceof URL ? {path: spec} : spec
+    const hostPath = path instanceof URL ? fileURLToPath(path) : resolve(path)
+    const root = realpathSync(hostPath)
+    if (!statSync(root).isDirectory()) {
+        throw new TypeError(`Can't mount ${hostPath}: not a directory`)
+    }
+
+    const mount = {
+        createEntry(entryPath, dirent) {
+            let isDirectory = dirent.isDirectory()
+            if (dirent.isSymbolicLink()) {
+                let target
+                try {
+                    target = realpathSync(entryPath)
+                } catch (_e) {
+                    // A broken link
+                    return null
+                }
+                if (!isInside(root, target)) {
+                    return null
+                }
+                isDirectory = statSync(target).isDirectory()
+            } else if (!isDirectory && !dirent.isFile()) {
+                return null
+            }
+            return isDirectory
+                ? new HostDirectory(entryPath, mount)
+                : new HostFile(entryPath, readonly)
+        }
+    }
+
+    const directory = new HostDirectory(root, mount)
+    return {
+        directory,
+        commit() {
+            if (!readonly) {
+                commitDirectory(directory, root)
+            }
+        }
+    }
+}
@@ -0,0 +1,359 @@
+/* pandoc-wasm: Validation of conversion options
+
+   Pandoc ignores keys it doesn't know and reports values of the wrong type
+   with messages that don't say which option is wrong. The options are
+   checked against the keys of pandoc's defaults files (see "Defaults
+   files" in the pandoc manual, and PandocOptions in index.d.ts) and the
+   formats and extensions pandoc supports, and misspelled names get a
+   "did you mean" suggestion.
+*/
+
+const verbosities = ["ERROR", "WARNING", "INFO"]
+const mathMethods = ["plain", "webtex", "gladtex", "mathml", "mathjax", "katex"]
+
+// The type of each option: "string", "boolean", "number", "strings" (an
+// array of strings), "object", a list of allowed values, or a function
+// that checks the value and returns an error message (or null)
+const schema = {
+    // General options
+    from: "input-format",
+    reader: "input-format",
+    to: "output-format",
+    writer: "output-format",
+    "output-file": value =>
+        value === null || typeof value === "string"
+            ? null
+            : "expected a string or null",
+    "input-file": "string",
+    "input-files": "strings",
+    "data-dir": "string",
+    defaults: value =>
+        typeof value === "string" || isStrings(value)
+            ? null
+            : "expected a string or an array of strings",
+    verbosity: verbosities,
+    "fail-if-warnings": "boolean",
+    "log-file": "string",
+    sandbox: "boolean",
+    trace: "boolean",
+
+    // Reader options
+    "shift-heading-level-by": "number",
+    "base-header-level": "number",
+    "indented-code-classes": "strings",
+    "default-image-extension": "string",
+    "file-scope": "boolean",
+    filters: checkFilters,
+    metadata: "object",
+    "metadata-file": "string",
+    "metadata-files": "strings",
+    "preserve-tabs": "boolean",
+    "tab-stop": "number",
+    "track-changes": ["accept", "reject", "all"],
+    "extract-media": "string",
+    abbreviations: "string",
+
+    // General writer options
+    standalone: "boolean",
+    template: "string",
+    variables: "object",
+    eol: ["crlf", "lf", "native"],
+    dpi: "number",
+    wrap: ["auto", "none", "preserve"],
+    columns: "number",
+    "table-of-contents": "boolean",
+    toc: "boolean",
+    "toc-depth": "number",
+    "list-of-figures": "boolean",
+    lof: "boolean",
+    "list-of-tables": "boolean",
+    lot: "boolean",
+    "strip-comments": "boolean",
+    "highlight-style": "string",
+    "syntax-highlighting": "string",
+    "syntax-definitions": "strings",
+    "include-in-header": "strings",
+    "include-before-body": "strings",
+    "include-after-body": "strings",
+    "resource-path": "strings",
+    "request-headers": value =>
+        Array.isArray(value) &&
+        value.every(header => isStrings(header) && header.length === 2)
+            ? null
+            : "expected an array of [name, value] pairs",
+    "no-check-certificate": "boolean",
+
+    // Options affecting specific writers
+    "self-contained": "boolean",
+    "embed-resources": "boolean",
+    "link-images": "boolean",
+    "html-q-tags": "boolean",
+    ascii: "boolean",
+    "reference-links": "boolean",
+    "reference-location": ["block", "section", "document"],
+    "figure-caption-position": ["above", "below"],
+    "table-caption-position": ["above", "below"],
+    "markdown-headings": ["setext", "atx"],
+    "list-tables": "boolean",
+    "top-level-division": ["default", "section", "chapter", "part"],
+    "number-sections": "boolean",
+    "number-offset": value =>
+        Array.isArray(value) && value.every(Number.isInteger)
+            ? null
+            : "expected an array of numbers",
+    listings: "boolean",
+    incremental: "boolean",
+    "slide-level": "number",
+    "section-divs": "boolean",
+    "email-obfuscation": ["none", "javascript", "references"],
+    "identifier-prefix": "string",
+    "title-prefix": "string",
+    css: "strings",
+    "reference-doc": "string",
+    "split-level": "number",
+    "epub-chapter-level": "number",
+    "chunk-template": "string",
+    "epub-subdirectory": "string",
+    "epub-cover-image": "string",
+    "epub-title-page": "boolean",
+    "epub-metadata": "string",
+    "epub-fonts": "strings",
+    "ipynb-output": ["all", "none", "best"],
+    "pdf-engine": "string",
+    "pdf-engine-opts": "strings",
+
+    // Citation rendering
+    citeproc: "boolean",
+    bibliography: value =>
+        typeof value === "string" || isStrings(value)
+            ? null
+            : "expected a string or an array of strings",
+    csl: "string",
+    "citation-abbreviations": "string",
+    "cite-method": ["citeproc", "natbib", "biblatex"],
+
+    // Math rendering in HTML
+    "html-math-method": checkMathMethod
+}
+
+// Checks for the types named in the schema
+const valueTypes = {
+    string: value => typeof value === "string",
+    boolean: value => typeof value === "boolean",
+    number: value => typeof value === "number",
+    strings: isStrings,
+    object: value =>
+        value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function isStrings(value) {
+    return Array.isArray(value) && value.every(item => typeof item === "string")
+}
+
+function describe(value) {
+    if (value === null) {
+        return "null"
+    }
+    if (Array.isArray(value)) {
+        return "an array"
+    }
+    return typeof value === "object" ? "an object" : `a ${typeof value}`
+}
+
+function checkFilters(value) {
+    if (!Array.isArray(value)) {
+        return "expected an array of filters"
+    }
+    for (const filter of value) {
+        if (typeof filter === "string") {
+            continue
+        }
+        if (
+            filter === null ||
+            typeof filter !== "object" ||
+            !["lua", "json", "citeproc"].includes(filter.type) ||
+            (filter.type !== "citeproc" && typeof filter.path !== "string")
+        ) {
+            return 'expected file names or {type: "lua" | "json", path} and {type: "citeproc"} objects'
+        }
+    }
+    return null
+}
+
+function checkMathMethod(value) {
+    const method = typeof value === "object" ? value?.method : value
+    if (!mathMethods.includes(method)) {
+        return `expected one of ${mathMethods.join(", ")} or {method, url}`
+    }
+    return null
+}
+
+// The number of single-character edits that turn `a` into `b`
+function editDistance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            )
+        }
+        previous = current
+    }
+    return previous[b.length]
+}
+
+// The name in `candidates` that `name` was most likely meant to be, or
+// null if none of them is close enough
+export function suggest(name, candidates) {
+    const simplified = name.toLowerCase().replace(/[-_\s]/g, "")
+    let best = null
+    let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1
+    for (const candidate of candidates) {
+        const distance =
+            candidate.replace(/[-_]/g, "") === simplified
+                ? 0
+                : editDistance(name.toLowerCase(), candidate)
+        if (distance < bestDistance) {
+            best = candidate
+            bestDistance = distance
+        }
+    }
+    return best
+}
+
+// An error for `key`, with a suggestion from `candidates` for `name`
+function optionError(key, message, name, candidates) {
+    const suggestion = name === null ? null : suggest(name, candidates)
+    return {
+        key,
+        message: suggestion
+            ? `${message}. Did you mean "${suggestion}"?`
+            : message,
+        suggestion
+    }
+}
+
+// Check a format with extensions, e.g. "markdown+smart-citations"
+function checkFormat(key, value, kind, knownFormats, extensionsFor) {
+    if (typeof value !== "string") {
+        return [
+            {
+                key,
+                message: `Invalid value for "${key}": expected a string, got ${describe(value)}`,
+                suggestion: null
+            }
+        ]
+    }
+    // Custom readers and writers
+    if (value.endsWith(".lua")) {
+        return []
+    }
+    const [format, ...parts] = value.split(/(?=[+-])/)
+    if (!knownFormats.includes(format)) {
+        return [
+            optionError(
+                key,
+                `Unknown ${kind} format "${format}"`,
+                format,
+                knownFormats
+            )
+        ]
+    }
+    const errors = []
+    const extensions =
+        parts.length > 0 ? Object.keys(extensionsFor(format)) : []
+    for (const part of parts) {
+        const extension = part.slice(1)
+        if (!extensions.includes(extension)) {
+            errors.push(
+                optionError(
+                    key,
+                    `The extension "${extension}" is not supported for ${format}`,
+                    extension,
+                    extensions
+                )
+            )
+        }
+    }
+    return errors
+}
+
+// Check `options` for a conversion. `formats` has the `input` and `output`
+// formats pandoc supports, and `extensionsFor(format)`, which returns the
+// extensions of a format as an object. Returns an array of errors, each
+// with the `key` of the option, a `message` and a `suggestion` (or null)
+// for misspelled names.
+export function validateOptions(options, formats) {
+    if (
+        options === null ||
+        typeof options !== "object" ||
+        Array.isArray(options)
+    ) {
+        return [
+            {
+                key: null,
+                message: `Options must be an object, got ${describe(options)}`,
+                suggestion: null
+            }
+        ]
+    }
+    const errors = []
+    const keys = Object.keys(schema)
+    for (const [key, value] of Object.entries(options)) {
+        const type = schema[key]
+        if (type === undefined) {
+            errors.push(optionError(key, `Unknown option "${key}"`, key, keys))
+            continue
+        }
+        if (value === undefined) {
+            continue
+        }
+        if (type === "input-format" || type === "output-format") {
+            errors.push(
+                ...checkFormat(
+                    key,
+                    value,
+                    type === "input-format" ? "input" : "output",
+                    type === "input-format" ? formats.input : formats.output,
+                    formats.extensionsFor
+                )
+            )
+            continue
+        }
+        if (typeof type === "function") {
+            const problem = type(value)
+            if (problem) {
+                errors.push({
+                    key,
+                    message: `Invalid value for "${key}": ${problem}`,
+                    suggestion: null
+                })
+            }
+        } else if (Array.isArray(type)) {
+            if (!type.includes(value)) {
+                errors.push(
+                    optionError(
+                        key,
+                        `Invalid value ${JSON.stringify(value)} for "${key}": expected one of ${type.join(", ")}`,
+                        typeof value === "string" ? value : null,
+                        type
+                    )
+                )
+            }
+        } else if (!valueTypes[type](value)) {
+            const expected =
+                type === "strings"
+                    ? "an array of strings"
+                    : `a${type === "object" ? "n" : ""} ${type}`
+            errors.push({
+                key,
+                message: `Invalid value for "${key}": expected ${expected}, got ${describe(value)}`,
+                suggestion: null
+            })
+        }
+    }
+    return errors
+}
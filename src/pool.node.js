@@ -0,0 +1,121 @@
+/* pandoc-wasm: Pool of pandoc instances in Node.js worker threads
+
+   The WASM module is compiled once and shared by all workers. Each worker
+   holds its own pandoc instance, so conversions run in parallel and don't
+   block the main thread.
+*/
+
+import {availableParallelism} from "node:os"
+import {Worker} from "node:worker_threads"
+import {cacheCapabilities} from "./capabilities.js"
+import {compileNodeWasm} from "./wasm.node.js"
+import {createWorkerClient, functionOptionsError} from "./worker-protocol.js"
+
+const workerUrl = new URL("./worker.node.js", import.meta.url)
+
+function spawnWorker(module, rtsOptions, silent, strict) {
+    let threadId = null
+    const client = createWorkerClient(({receive, fail}) => {
+        const worker = new Worker(workerUrl, {
+            workerData: {module, rtsOptions, silent, strict}
+        })
+        threadId = worker.threadId
+        worker.on("message", receive)
+        worker.on("error", fail)
+        worker.on("exit", code =>
+            fail(new Error(`Worker exited with code ${code}`))
+        )
+        return {
+            postMessage: (message, transfer) =>
+                worker.postMessage(message, transfer),
+            terminate: () => worker.terminate()
+        }
+    })
+    return {
+        client,
+        // Workers are replaced after a cancelled call, so this can change
+        get threadId() {
+            return threadId
+        }
+    }
+}
+
+// Create a pool of pandoc instances. Options:
+// - size: number of worker threads (defaults to the available parallelism)
+// - wasm, wasmUrl, rtsOptions, silent, strict: as for createPandoc()
+//   (callbacks can't be passed to worker threads)
+export async function createPandocPool({
+    size = availableParallelism(),
+    wasm,
+    wasmUrl,
+    rtsOptions,
+    silent,
+    strict
+} = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+        throw new RangeError(`Invalid pool size: ${size}`)
+    }
+    const module = await compileNodeWasm({wasm, wasmUrl})
+    const workers = Array.from({length: size}, () =>
+        spawnWorker(module, rtsOptions, silent, strict)
+    )
+    let next = 0
+    let closed = false
+
+    try {
+        await Promise.all(workers.map(({client}) => client.ready))
+    } catch (error) {
+        await Promise.all(workers.map(({client}) => client.terminate(error)))
+        throw error
+    }
+
+    // Hand out calls to the workers in turn
+    function dispatch(method, args, callOptions) {
+        if (closed) {
+            return Promise.reject(new Error("Pandoc pool is closed"))
+        }
+        const {client} = workers[next]
+        next = (next + 1) % workers.length
+        return client.call(method, args, callOptions)
+    }
+
+    return {
+        size,
+        // `callOptions` of all calls can contain a `signal` and a
+        // `timeoutMs`. Aborting a running call terminates and replaces its
+        // worker.
+        convert(options, stdin, files, {signal, timeoutMs, ...rest} = {}) {
+            const error = functionOptionsError(rest)
+            if (error) {
+                return Promise.reject(error)
+            }
+            return dispatch("convert", [options, stdin, files, rest], {
+                signal,
+                timeoutMs
+            })
+        },
+        query: (options, {signal, timeoutMs} = {}) =>
+            dispatch("query", [options], {signal, timeoutMs}),
+        // Cached for the pool, since its workers run the same pandoc
+        capabilities: cacheCapabilities(() => dispatch("capabilities", [])),
+        validateOptions: (options, {signal, timeoutMs} = {}) =>
+            dispatch("validateOptions", [options], {signal, timeoutMs}),
+        // Per-worker numbers of completed, failed and queued calls, and of
+        // restarts after cancelled calls or crashes
+        stats() {
+            return workers.map((worker, id) => ({
+                id,
+                threadId: worker.threadId,
+                ...worker.client.stats
+            }))
+        },
+        // Terminate all workers. Calls that haven't finished are rejected.
+        async close() {
+            closed = true
+            const error = new Error("Pandoc pool is closed")
+            await Promise.all(
+                workers.map(({client}) => client.terminate(error))
+            )
+        }
+    }
+}
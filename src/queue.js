@@ -0,0 +1,63 @@
+/* pandoc-wasm: FIFO task queue
+
+   A pandoc instance has a single WASI filesystem (including the stdin,
+   stdout and stderr files), so only one conversion can use it at a time.
+   The queue runs tasks one after the other, in the order they were added.
+*/
+
+import {abortError} from "./abort.js"
+
+export function createQueue() {
+    const tasks = []
+    let running = false
+
+    function runNext() {
+        if (running || tasks.length === 0) {
+            return
+        }
+        const task = tasks.shift()
+        task.removeAbortListener()
+        running = true
+        // Mark the task as done before settling its promise, so that
+        // `size` is already up to date when the caller continues
+        const settle = callback => value => {
+            running = false
+            callback(value)
+            runNext()
+        }
+        Promise.resolve()
+            .then(task.run)
+            .then(settle(task.resolve), settle(task.reject))
+    }
+
+    // Add a task (a function that may return a Promise) to the queue.
+    // Returns a Promise for the task's result. If `signal` is aborted
+    // before the task has started, the task is dropped from the queue and
+    // the Promise is rejected with an AbortError.
+    function push(run, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(abortError(signal))
+                return
+            }
+            const task = {run, resolve, reject}
+            const onAbort = () => {
+                tasks.splice(tasks.indexOf(task), 1)
+                reject(abortError(signal))
+            }
+            signal?.addEventListener("abort", onAbort, {once: true})
+            task.removeAbortListener = () =>
+                signal?.removeEventListener("abort", onAbort)
+            tasks.push(task)
+            runNext()
+        })
+    }
+
+    return {
+        push,
+        // Number of tasks waiting or running
+        get size() {
+            return tasks.length + (running ? 1 : 0)
+        }
+    }
+}
@@ -0,0 +1,261 @@
+/* pandoc-wasm: Storage backends for mounts
+
+   Browser apps keep their files in the Origin Private File System (OPFS)
+   or in IndexedDB. Both can only be accessed asynchronously, while pandoc
+   reads files synchronously, so a mounted store is read before the
+   conversion starts. Files that haven't changed since the last conversion
+   are taken from a cache instead of being read again. Once a conversion
+   has succeeded, the files it wrote to a writable mount are saved back to
+   the store.
+
+   A storage backend is an object with these async functions, so other
+   stores can be mounted as well:
+   - list(): all files as [{path, version}]. Files with the same `version`
+     (if not undefined) as before are not read again
+   - read(path): the contents as a string, Blob or byte array
+   - write(path, bytes): create or replace a file
+   - remove(path): delete a file
+*/
+
+import {Directory, File} from "@bjorn3/browser_wasi_shim"
+import {toUint8Array} from "./data.js"
+import {listFiles, normalizePath, setEntry} from "./filesystem.js"
+
+// Cached contents of each storage backend: path -> {version, bytes}
+const caches = new WeakMap()
+
+// Backends created for mount specs, so their caches are reused
+const opfsBackends = new WeakMap()
+const indexedDBBackends = new Map()
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+// Storage backend for an OPFS (or any other) FileSystemDirectoryHandle
+function opfsStorage(root) {
+    async function getDirectory(parts, create) {
+        let directory = root
+        for (const part of parts) {
+            directory = await directory.getDirectoryHandle(part, {create})
+        }
+        return directory
+    }
+
+    async function getFileHandle(path, create) {
+        const parts = normalizePath(path).split("/")
+        const name = parts.pop()
+        const directory = await getDirectory(parts, create)
+        return directory.getFileHandle(name, {create})
+    }
+
+    async function list(directory = root, prefix = "") {
+        const files = []
+        for await (const [name, handle] of directory.entries()) {
+            if (handle.kind === "directory") {
+                files.push(...(await list(handle, `${prefix}${name}/`)))
+            } else {
+                const file = await handle.getFile()
+                files.push({
+                    path: prefix + name,
+                    version: `${file.lastModified}:${file.size}`
+                })
+            }
+        }
+        return files
+    }
+
+    return {
+        list: () => list(),
+        async read(path) {
+            return (await getFileHandle(path, false)).getFile()
+        },
+        async write(path, bytes) {
+            const handle = await getFileHandle(path, true)
+            const writable = await handle.createWritable()
+            await writable.write(bytes)
+            await writable.close()
+        },
+        async remove(path) {
+            const parts = normalizePath(path).split("/")
+            const name = parts.pop()
+            const directory = await getDirectory(parts, false)
+            await directory.removeEntry(name)
+        }
+    }
+}
+
+// Storage backend for an IndexedDB object store whose keys are file paths
+// and whose values are the contents (strings, Blobs or byte arrays). The
+// database and the store are created if they don't exist.
+function indexedDBStorage(name, storeName = "files") {
+    let databasePromise = null
+
+    async function openDatabase() {
+        let database = await requestResult(indexedDB.open(name))
+        if (!database.objectStoreNames.contains(storeName)) {
+            // Object stores can only be created while upgrading, which has
+            // to wait until the other connections (e.g. in other tabs) are
+            // closed. Instead of waiting for them, the mount fails.
+            const version = database.version + 1
+            database.close()
+            const request = indexedDB.open(name, version)
+            request.onupgradeneeded = () =>
+                request.result.createObjectStore(storeName)
+            database = await new Promise((resolve, reject) => {
+                let blocked = false
+                request.onsuccess = () => {
+                    if (blocked) {
+                        request.result.close()
+                    } else {
+                        resolve(request.result)
+                    }
+                }
+                request.onerror = () => reject(request.error)
+                request.onblocked = () => {
+                    blocked = true
+                    reject(
+                        new Error(
+                            `Can't add the store "${storeName}" to the IndexedDB database "${name}" while it is open elsewhere`
+                        )
+                    )
+                }
+            })
+        }
+        // Let other connections upgrade the database. It is opened again
+        // by the next call.
+        database.onversionchange = () => {
+            database.close()
+            databasePromise = null
+        }
+        return database
+    }
+
+    async function store(mode) {
+        if (!databasePromise) {
+            databasePromise = openDatabase().catch(error => {
+                databasePromise = null
+                throw error
+            })
+        }
+        const database = await databasePromise
+        return database.transaction(storeName, mode).objectStore(storeName)
+    }
+
+    return {
+        async list() {
+            const keys = await requestResult(
+                (await store("readonly")).getAllKeys()
+            )
+            return keys.map(key => ({path: String(key), version: undefined}))
+        },
+        async read(path) {
+            return requestResult((await store("readonly")).get(path))
+        },
+        async write(path, bytes) {
+            await requestResult((await store("readwrite")).put(bytes, path))
+        },
+        async remove(path) {
+            await requestResult((await store("readwrite")).delete(path))
+        }
+    }
+}
+
+// Whether `spec` (a value of the `mounts` call option) is a storage mount
+export function isStorageMount(spec) {
+    return (
+        spec !== null &&
+        typeof spec === "object" &&
+        ("opfs" in spec || "indexedDB" in spec || "storage" in spec)
+    )
+}
+
+// The storage backend for a mount spec
+function storageForSpec(spec) {
+    if (spec.storage) {
+        return spec.storage
+    }
+    if (spec.opfs) {
+        if (!opfsBackends.has(spec.opfs)) {
+            opfsBackends.set(spec.opfs, opfsStorage(spec.opfs))
+        }
+        return opfsBackends.get(spec.opfs)
+    }
+    const key = `${spec.indexedDB}\0${spec.store ?? "files"}`
+    if (!indexedDBBackends.has(key)) {
+        indexedDBBackends.set(key, indexedDBStorage(spec.indexedDB, spec.store))
+    }
+    return indexedDBBackends.get(key)
+}
+
+// Read the files of a storage mount into a Directory. `spec` is
+// {opfs: directoryHandle}, {indexedDB: databaseName, store} or
+// {storage: backend}, with `readonly: false` to make it writable.
+// Returns the Directory and a commit() function that saves the changes.
+export async function mountStorage(spec) {
+    const storage = storageForSpec(spec)
+    const readonly = spec.readonly ?? true
+    if (!caches.has(storage)) {
+        caches.set(storage, new Map())
+    }
+    const cache = caches.get(storage)
+
+    const directory = new Directory(new Map())
+    // Not part of the files returned by convert()
+    directory.external = true
+    // The contents every file had before the conversion
+    const original = new Map()
+    const listed = await storage.list()
+    const paths = new Set()
+    for (const {path, version} of listed) {
+        const key = normalizePath(path)
+        paths.add(key)
+        let cached = cache.get(key)
+        if (!cached || version === undefined || cached.version !== version) {
+            const bytes = await toUint8Array(
+                await storage.read(path),
+                `file "${path}"`
+            )
+            cached = {version, bytes}
+            cache.set(key, cached)
+        }
+        // Pandoc may modify the file, so it gets its own copy of the bytes
+        const file = new File(cached.bytes, {readonly})
+        setEntry(directory, key, file)
+        original.set(key, file.data)
+    }
+    // Forget files that were removed from the store
+    for (const key of cache.keys()) {
+        if (!paths.has(key)) {
+            cache.delete(key)
+        }
+    }
+
+    return {
+        directory,
+        async commit() {
+            if (readonly) {
+                return
+            }
+            const current = new Map(listFiles(directory))
+            for (const [key, file] of current) {
+                // Read-only files are the ones passed to convert(), which
+                // are never saved. Pandoc truncates the files it writes,
+                // which replaces their data.
+                if (!file.readonly && original.get(key) !== file.data) {
+                    await storage.write(key, file.data)
+                    cache.delete(key)
+                }
+            }
+            for (const key of original.keys()) {
+                if (!current.has(key)) {
+                    await storage.remove(key)
+                    cache.delete(key)
+                }
+            }
+        }
+    }
+}
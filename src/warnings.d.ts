@@ -0,0 +1,34 @@
+/** Position in an input file, as pandoc reports it */
+export interface PandocPosition {
+    /** Name of the input, e.g. `"/stdin"` or `"chapter.md"` */
+    source: string | null
+    /** Line number, starting at 1 */
+    line: number
+    /** Column number, starting at 1, or null if pandoc doesn't report one */
+    column: number | null
+}
+
+/** How important a log message is */
+export type PandocVerbosity = "ERROR" | "WARNING" | "INFO"
+
+/** A log message of a conversion */
+export interface PandocWarning {
+    /** Kind of message, e.g. `"DuplicateLinkReference"` */
+    type: string
+    verbosity: PandocVerbosity
+    /** Human-readable description */
+    message: string
+    /** Where in the input the problem is, if pandoc reports it */
+    position: PandocPosition | null
+    /** The message as pandoc reported it */
+    raw: Record<string, unknown>
+}
+
+/** Normalize a log message as pandoc reports it */
+export function normalizeWarning(raw: Record<string, unknown>): PandocWarning
+
+/**
+ * Format a warning as one line, with the position first instead of in the
+ * message, e.g. `"/stdin:2:1: [WARNING] Duplicate link reference '[a]'"`
+ */
+export function formatWarning(warning: PandocWarning): string
@@ -0,0 +1,66 @@
+/* pandoc-wasm: Warnings reported by pandoc
+
+   Pandoc writes its log messages as JSON objects whose fields depend on
+   the kind of message. They are normalized to the same shape, with the
+   position in the input (if pandoc reports one) in the same form as the
+   position of a PandocError.
+*/
+
+// The position of a log message, which pandoc reports either as `source`,
+// `line` and `column` fields or as a `pos` (or `openpos` for unclosed
+// elements) object with these fields
+function warningPosition(raw) {
+    for (const candidate of [raw, raw.pos, raw.openpos]) {
+        if (
+            candidate !== null &&
+            typeof candidate === "object" &&
+            typeof candidate.line === "number"
+        ) {
+            return {
+                source: candidate.source ?? null,
+                line: candidate.line,
+                column: candidate.column ?? null
+            }
+        }
+    }
+    return null
+}
+
+// Normalize a log message as pandoc reports it to
+// {type, verbosity, message, position, raw}
+export function normalizeWarning(raw) {
+    return {
+        type: raw.type ?? "Unknown",
+        verbosity: raw.verbosity ?? "WARNING",
+        message: raw.pretty ?? raw.message ?? raw.type ?? "",
+        position: warningPosition(raw),
+        raw
+    }
+}
+
+// The message of a warning on one line, without the position pandoc adds
+// to most messages as " at SOURCE line L column C"
+function messageText({message, position}) {
+    let text = message
+    if (position) {
+        const source = position.source ? `${position.source} ` : ""
+        const column =
+            position.column === null ? "" : ` column ${position.column}`
+        text = text.replace(` at ${source}line ${position.line}${column}`, "")
+    }
+    return text.replace(/\s*\n\s*/g, " ")
+}
+
+// Format a warning as one line like compilers do, with the position first,
+// e.g. "/stdin:2:1: [WARNING] Duplicate link reference '[a]'"
+export function formatWarning(warning) {
+    const {verbosity, position} = warning
+    const text = `[${verbosity}] ${messageText(warning)}`
+    if (!position) {
+        return text
+    }
+    const location = [position.source ?? "", position.line, position.column]
+        .filter(part => part !== null)
+        .join(":")
+    return `${location}: ${text}`
+}
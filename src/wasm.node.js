@@ -0,0 +1,43 @@
+/* pandoc-wasm: Loading the WASM binary in Node.js
+
+   Shared by the Node.js entry point and the worker pool.
+*/
+
+import {readFile} from "node:fs/promises"
+import {fileURLToPath} from "node:url"
+import {compileWasm} from "./core.js"
+
+// The WASM binary shipped with the package
+const defaultWasmUrl = new URL("./pandoc.wasm", import.meta.url)
+
+// Protocols that Node's fetch() can load; anything else is read from disk
+const fetchProtocols = ["http:", "https:", "data:", "blob:"]
+
+// Read local files ourselves, since Node's fetch() doesn't support file: URLs
+function readWasm(source) {
+    if (typeof source !== "string" && !(source instanceof URL)) {
+        return source
+    }
+    let url = null
+    try {
+        url = new URL(source)
+    } catch (_e) {
+        // Not a URL, so treat it as a filesystem path
+        return readFile(source)
+    }
+    if (url.protocol === "file:") {
+        return readFile(fileURLToPath(url))
+    }
+    if (fetchProtocols.includes(url.protocol)) {
+        return source
+    }
+    // e.g. Windows paths like "C:\\pandoc.wasm" parse as URLs
+    return readFile(source)
+}
+
+// Compile pandoc from `wasm` (URL, path, Response, ArrayBuffer or
+// WebAssembly.Module) or else from `wasmUrl`, defaulting to the packaged
+// binary
+export function compileNodeWasm({wasm, wasmUrl = defaultWasmUrl} = {}) {
+    return compileWasm(readWasm(wasm ?? wasmUrl))
+}
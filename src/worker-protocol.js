@@ -0,0 +1,317 @@
+/* pandoc-wasm: Message protocol for running pandoc in a worker
+
+   Environment-agnostic: used by the Node.js worker pool and can be used
+   with any worker that has a postMessage() function.
+
+   Requests are {id, method, args} and answers are {id, result} or
+   {id, error}. Blobs and byte arrays are sent as copies of their bytes,
+   and the copied ArrayBuffers are transferred to the other thread instead
+   of being cloned a second time. Responses and streams can't be sent at
+   all, so they are read into byte arrays first.
+*/
+
+import {abortError, createCallSignal, throwIfAborted} from "./abort.js"
+import {isStream, toUint8Array} from "./data.js"
+import {PandocError} from "./errors.js"
+import {createQueue} from "./queue.js"
+
+// Methods of a pandoc instance that can be called through a worker
+const workerMethods = ["convert", "query", "capabilities", "validateOptions"]
+
+// Marks an encoded Blob
+const blobTag = "pandoc-wasm:blob"
+
+function isPlainObject(value) {
+    return (
+        value !== null &&
+        typeof value === "object" &&
+        Object.getPrototypeOf(value) === Object.prototype
+    )
+}
+
+// Replace Blobs and byte arrays in `value` by transferable copies.
+// The ArrayBuffers to transfer are added to `transfer`.
+export async function encodeMessage(value, transfer) {
+    if (value instanceof Blob) {
+        const buffer = await value.arrayBuffer()
+        transfer.push(buffer)
+        return {[blobTag]: true, buffer, type: value.type}
+    }
+    if (ArrayBuffer.isView(value)) {
+        const bytes = new Uint8Array(
+            value.buffer,
+            value.byteOffset,
+            value.byteLength
+        ).slice()
+        transfer.push(bytes.buffer)
+        return bytes
+    }
+    if (value instanceof ArrayBuffer) {
+        const buffer = value.slice(0)
+        transfer.push(buffer)
+        return buffer
+    }
+    if (
+        (typeof Response !== "undefined" && value instanceof Response) ||
+        isStream(value)
+    ) {
+        const bytes = await toUint8Array(value)
+        transfer.push(bytes.buffer)
+        return bytes
+    }
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(item => encodeMessage(item, transfer)))
+    }
+    if (isPlainObject(value)) {
+        const entries = await Promise.all(
+            Object.entries(value).map(async ([key, item]) => [
+                key,
+                await encodeMessage(item, transfer)
+            ])
+        )
+        return Object.fromEntries(entries)
+    }
+    return value
+}
+
+// Turn a value produced by encodeMessage() back into Blobs and byte arrays
+export function decodeMessage(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeMessage)
+    }
+    if (isPlainObject(value)) {
+        if (value[blobTag]) {
+            return new Blob([value.buffer], {type: value.type})
+        }
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+                key,
+                decodeMessage(item)
+            ])
+        )
+    }
+    return value
+}
+
+// Errors can't be sent between threads as they are, so they are sent as
+// their name, message, stack and any extra properties
+export function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return {name: "Error", message: String(error)}
+    }
+    return {
+        ...error,
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+    }
+}
+
+export function deserializeError({name, message, stack, ...properties}) {
+    const error =
+        name === "PandocError"
+            ? new PandocError(message, properties)
+            : Object.assign(new Error(message), properties)
+    error.name = name
+    error.stack = stack
+    return error
+}
+
+// Worker side: create the pandoc instance and return a function that
+// handles one request message. `postMessage(message, transfer)` sends a
+// message to the main thread. A {type: "ready"} message (with `error` if
+// the instance could not be created) is sent once the instance is ready.
+export function createWorkerServer(createInstance, postMessage) {
+    const instancePromise = Promise.resolve().then(createInstance)
+
+    instancePromise.then(
+        () => postMessage({type: "ready"}),
+        error => postMessage({type: "ready", error: serializeError(error)})
+    )
+
+    return async function handleMessage({id, method, args}) {
+        try {
+            if (!workerMethods.includes(method)) {
+                throw new Error(`Unknown method: ${method}`)
+            }
+            const instance = await instancePromise
+            const result = await instance[method](...decodeMessage(args))
+            const transfer = []
+            const encoded = await encodeMessage(result, transfer)
+            postMessage({id, result: encoded}, transfer)
+        } catch (error) {
+            // Errors can carry output (e.g. PandocError.stdout)
+            const transfer = []
+            const encoded = await encodeMessage(serializeError(error), transfer)
+            postMessage({id, error: encoded}, transfer)
+        }
+    }
+}
+
+// Functions can't be passed to a worker: returns a TypeError for the
+// function-valued call options in `callOptions`, or null if there are none
+export function functionOptionsError(callOptions) {
+    const names = Object.keys(callOptions).filter(
+        name => typeof callOptions[name] === "function"
+    )
+    if (names.length === 0) {
+        return null
+    }
+    return new TypeError(
+        `Call options can't be functions in a worker: ${names.join(", ")}`
+    )
+}
+
+// Main thread side of a single worker. `spawn(handlers)` starts a worker
+// and returns {postMessage(message, transfer), terminate()}. Messages from
+// the worker have to be passed to `handlers.receive(message)`, and errors
+// (a crash or an unexpected exit) to `handlers.fail(error)`.
+//
+// Calls are queued and sent to the worker one at a time. A running call
+// can't be interrupted inside the worker, so when it is aborted (through
+// the `signal` or `timeoutMs` call options) the worker is terminated and a
+// new one is started for the remaining calls. A crashed worker is replaced
+// in the same way when the next call is made.
+export function createWorkerClient(spawn) {
+    const queue = createQueue()
+    const stats = {completed: 0, failed: 0, restarts: 0}
+    let nextId = 0
+    let closedError = null
+    let current = null
+
+    // Start a new worker, with its own set of pending requests
+    function start() {
+        const worker = {pending: new Map(), error: null}
+        worker.ready = new Promise((resolve, reject) => {
+            worker.readyCallbacks = {resolve, reject}
+        })
+        // Avoid unhandled rejections if the worker fails before it's used
+        worker.ready.catch(() => {})
+        worker.port = spawn({
+            receive: message => receive(worker, message),
+            fail: error => fail(worker, error)
+        })
+        current = worker
+        return worker
+    }
+
+    function receive(worker, message) {
+        if (message.type === "ready") {
+            if (message.error) {
+                fail(worker, deserializeError(message.error))
+            } else {
+                worker.readyCallbacks.resolve()
+            }
+            return
+        }
+        const request = worker.pending.get(message.id)
+        if (!request) {
+            return
+        }
+        worker.pending.delete(message.id)
+        if (message.error) {
+            stats.failed++
+            request.reject(deserializeError(decodeMessage(message.error)))
+        } else {
+            stats.completed++
+            request.resolve(decodeMessage(message.result))
+        }
+    }
+
+    // Reject everything that is waiting for `worker`
+    function fail(worker, error) {
+        if (worker.error) {
+            return
+        }
+        worker.error = error
+        worker.readyCallbacks.reject(error)
+        for (const request of worker.pending.values()) {
+            stats.failed++
+            request.reject(error)
+        }
+        worker.pending.clear()
+    }
+
+    // Send a request to the worker and wait for the answer
+    async function send(method, args, signal) {
+        if (closedError) {
+            throw closedError
+        }
+        let worker = current
+        if (worker.error) {
+            // A browser worker keeps running after an error event
+            worker.port.terminate()
+            stats.restarts++
+            worker = start()
+        }
+        await worker.ready
+        const transfer = []
+        const encoded = await encodeMessage(args, transfer)
+        throwIfAborted(signal)
+        return new Promise((resolve, reject) => {
+            const id = nextId++
+            const onAbort = () => {
+                fail(worker, abortError(signal))
+                worker.port.terminate()
+                if (!closedError) {
+                    stats.restarts++
+                    start()
+                }
+            }
+            signal?.addEventListener("abort", onAbort, {once: true})
+            const done = callback => value => {
+                signal?.removeEventListener("abort", onAbort)
+                callback(value)
+            }
+            worker.pending.set(id, {
+                resolve: done(resolve),
+                reject: done(reject)
+            })
+            // Values that can't be cloned throw here
+            try {
+                worker.port.postMessage({id, method, args: encoded}, transfer)
+            } catch (error) {
+                worker.pending.delete(id)
+                stats.failed++
+                done(reject)(error)
+            }
+        })
+    }
+
+    // Call `method` with `args` in the worker. `callOptions` can contain
+    // a `signal` and a `timeoutMs` to cancel the call.
+    function call(method, args, callOptions) {
+        if (closedError) {
+            return Promise.reject(closedError)
+        }
+        const {signal, cleanup} = createCallSignal(callOptions)
+        return queue
+            .push(() => send(method, args, signal), signal)
+            .finally(cleanup)
+    }
+
+    // Reject all current and future calls with `error` and stop the worker
+    function terminate(error = new Error("Worker terminated")) {
+        if (closedError) {
+            return Promise.resolve()
+        }
+        closedError = error
+        fail(current, error)
+        return Promise.resolve(current.port.terminate())
+    }
+
+    start()
+
+    return {
+        // Resolves once the first worker has created its pandoc instance
+        ready: current.ready,
+        call,
+        terminate,
+        get queueDepth() {
+            return queue.size
+        },
+        get stats() {
+            return {...stats, queueDepth: queue.size}
+        }
+    }
+}
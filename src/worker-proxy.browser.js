@@ -0,0 +1,113 @@
+/* pandoc-wasm: Main thread proxy for a pandoc Web Worker
+
+   Sends convert/query calls to a worker running src/worker.browser.js, so
+   that long conversions don't block the page. Doesn't locate the WASM
+   binary itself; see createPandocWorker() in src/index.browser.js.
+*/
+
+import {cacheCapabilities} from "./capabilities.js"
+import {compileWasm} from "./core.js"
+import {createWorkerClient, functionOptionsError} from "./worker-protocol.js"
+
+// Turn `wasm` into something that can be posted to the worker. URLs are
+// resolved here, as relative URLs would otherwise be resolved against the
+// worker script's location.
+function wasmForWorker(wasm) {
+    if (typeof wasm === "string" || wasm instanceof URL) {
+        return new URL(wasm, globalThis.location?.href).href
+    }
+    if (
+        wasm instanceof WebAssembly.Module ||
+        wasm instanceof ArrayBuffer ||
+        ArrayBuffer.isView(wasm)
+    ) {
+        return wasm
+    }
+    // Responses can't be posted, so compile them here
+    return compileWasm(wasm)
+}
+
+// Start a pandoc worker and return a proxy with the same convert/query API
+// as a pandoc instance. Options:
+// - wasm: URL, Response, ArrayBuffer or precompiled WebAssembly.Module
+// - worker: a Worker running src/worker.browser.js, or a function that
+//   creates one (by default workers are created next to this module)
+// - rtsOptions: array of GHC runtime options
+// - silent: don't write the output of the WASM program to the console
+// - strict: reject conversions with invalid options
+export async function createWorkerProxy({
+    wasm,
+    worker,
+    rtsOptions,
+    silent,
+    strict
+}) {
+    const workerWasm = await wasmForWorker(wasm)
+
+    // A Worker object can only be used once, so replacements for it are
+    // created next to this module
+    function newWorker() {
+        if (typeof worker === "function") {
+            return worker()
+        }
+        const given = worker
+        worker = null
+        return (
+            given ??
+            new Worker(new URL("./worker.browser.js", import.meta.url), {
+                type: "module"
+            })
+        )
+    }
+
+    const client = createWorkerClient(({receive, fail}) => {
+        const port = newWorker()
+        port.addEventListener("message", event => receive(event.data))
+        port.addEventListener("error", event =>
+            fail(new Error(event.message || "Pandoc worker failed"))
+        )
+        port.postMessage({
+            type: "init",
+            wasm: workerWasm,
+            rtsOptions,
+            silent,
+            strict
+        })
+        return port
+    })
+
+    try {
+        await client.ready
+    } catch (error) {
+        client.terminate(error)
+        throw error
+    }
+
+    return {
+        // `callOptions` of all calls can contain a `signal` and a
+        // `timeoutMs`. Aborting a running call terminates the worker and
+        // starts a new one.
+        convert(options, stdin, files, {signal, timeoutMs, ...rest} = {}) {
+            const error = functionOptionsError(rest)
+            if (error) {
+                return Promise.reject(error)
+            }
+            return client.call("convert", [options, stdin, files, rest], {
+                signal,
+                timeoutMs
+            })
+        },
+        query: (options, {signal, timeoutMs} = {}) =>
+            client.call("query", [options], {signal, timeoutMs}),
+        // Cached, so a restarted worker doesn't collect them again
+        capabilities: cacheCapabilities(() => client.call("capabilities", [])),
+        validateOptions: (options, {signal, timeoutMs} = {}) =>
+            client.call("validateOptions", [options], {signal, timeoutMs}),
+        // Stop the worker. Calls that haven't finished are rejected.
+        terminate: () => client.terminate(),
+        // Number of calls waiting or running
+        get queueDepth() {
+            return client.queueDepth
+        }
+    }
+}
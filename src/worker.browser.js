@@ -0,0 +1,28 @@
+/* pandoc-wasm: Web Worker entry point
+
+   Runs a pandoc instance off the main thread for createPandocWorker().
+   The first message from the main thread has to be
+   {type: "init", wasm, rtsOptions, silent, strict}, where `wasm` is a URL, ArrayBuffer or
+   WebAssembly.Module. All later messages are requests.
+*/
+
+import {compileWasm, createPandocInstance} from "./core.js"
+import {createWorkerServer} from "./worker-protocol.js"
+
+let handleMessage = null
+
+self.addEventListener("message", ({data}) => {
+    if (handleMessage) {
+        handleMessage(data)
+    } else if (data.type === "init") {
+        handleMessage = createWorkerServer(
+            async () =>
+                createPandocInstance(await compileWasm(data.wasm), {
+                    rtsOptions: data.rtsOptions,
+                    silent: data.silent,
+                    strict: data.strict
+                }),
+            (message, transfer) => self.postMessage(message, transfer)
+        )
+    }
+})
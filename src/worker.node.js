@@ -0,0 +1,25 @@
+/* pandoc-wasm: Node.js worker thread entry point
+
+   Runs a pandoc instance in a worker thread of a pool created by
+   createPandocPool(). The compiled WebAssembly.Module, the runtime
+   options and the `silent` and `strict` options are passed in
+   `workerData`.
+*/
+
+import {parentPort, workerData} from "node:worker_threads"
+import {createPandocInstance} from "./core.js"
+import {mountDirectory} from "./mount.node.js"
+import {createWorkerServer} from "./worker-protocol.js"
+
+const handleMessage = createWorkerServer(
+    () =>
+        createPandocInstance(workerData.module, {
+            rtsOptions: workerData.rtsOptions,
+            silent: workerData.silent,
+            strict: workerData.strict,
+            mountDirectory
+        }),
+    (message, transfer) => parentPort.postMessage(message, transfer)
+)
+
+parentPort.on("message", handleMessage)
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for mounting host directories in pandoc-wasm (Node.js only)
+ *
+ * Tests that pandoc reads inputs and resources from mounted directories,
+ * writes outputs to writable ones and can't leave the mounted directory.
+ */
+
+import {
+    existsSync,
+    mkdirSync,
+    mkdtempSync,
+    readFileSync,
+    rmSync,
+    symlinkSync,
+    writeFileSync
+} from "node:fs"
+import {tmpdir} from "node:os"
+import {join} from "node:path"
+import {createPandoc, createPandocPool} from "./index.js"
+
+console.log("Testing mounted host directories in pandoc-wasm...\n")
+
+async function runTests() {
+    const dir = mkdtempSync(join(tmpdir(), "pandoc-wasm-"))
+    const pool = await createPandocPool({size: 1})
+    try {
+        mkdirSync(join(dir, "project/images"), {recursive: true})
+        mkdirSync(join(dir, "build"))
+        mkdirSync(join(dir, "private"))
+        writeFileSync(
+            join(dir, "project/doc.md"),
+            "# Mounted\n\n![Logo](images/logo.txt)\n"
+        )
+        writeFileSync(join(dir, "project/images/logo.txt"), "logo")
+        writeFileSync(join(dir, "private/secret.md"), "secret")
+        symlinkSync(join(dir, "private"), join(dir, "project/private"))
+
+        const pandoc = await createPandoc()
+        const mounts = {
+            project: join(dir, "project"),
+            build: {path: join(dir, "build"), readonly: false}
+        }
+
+        // Test 1: Read from a read-only mount, write to a writable one
+        console.log("Test 1: Read-only and writable mounts")
+        const result = await pandoc.convert(
+            {
+                from: "markdown",
+                to: "html",
+                "input-files": ["project/doc.md"],
+                "resource-path": ["project"],
+                "output-file": "build/doc.html",
+                "extract-media": "build/media"
+            },
+            null,
+            {},
+            {mounts}
+        )
+        const html = readFileSync(join(dir, "build/doc.html"), "utf8")
+        if (
+            !result.ok ||
+            !html.includes("Mounted") ||
+            !existsSync(join(dir, "build/media/images/logo.txt"))
+        ) {
+            throw new Error(`Outputs were not written to disk: ${html}`)
+        }
+        console.log("✓ Output and extracted media written to the mount")
+
+        // Test 2: Read-only mounts are never changed
+        console.log("\nTest 2: Writing to a read-only mount")
+        await pandoc.convert(
+            {from: "markdown", to: "html", "output-file": "project/out.html"},
+            "text",
+            {},
+            {mounts}
+        )
+        if (existsSync(join(dir, "project/out.html"))) {
+            throw new Error("A read-only mount was written to")
+        }
+        console.log("✓ Read-only mount left unchanged")
+
+        // Test 3: Symbolic links can't leave the mounted directory
+        console.log("\nTest 3: Symbolic links outside the mount")
+        const escaped = await pandoc.convert(
+            {
+                from: "markdown",
+                to: "html",
+                "input-files": ["project/private/secret.md"]
+            },
+            null,
+            {},
+            {mounts, throwOnError: false}
+        )
+        if (escaped.ok || escaped.stdout.includes("secret")) {
+            throw new Error("A file outside the mount was read")
+        }
+        console.log("✓ Link to a directory outside the mount is hidden")
+
+        // Test 4: Mounts in a worker pool
+        console.log("\nTest 4: Mounts in a worker pool")
+        const pooled = await pool.convert(
+            {from: "markdown", to: "plain", "input-files": ["project/doc.md"]},
+            null,
+            {},
+            {mounts}
+        )
+        if (!pooled.stdout.includes("Mounted")) {
+            throw new Error(`Unexpected output: ${pooled.stdout}`)
+        }
+        console.log("✓ Pool workers mount host directories too")
+
+        console.log("\n✓ All mount tests completed successfully!")
+    } catch (error) {
+        console.error("\n✗ Test failed with error:")
+        console.error(error)
+        process.exitCode = 1
+    } finally {
+        await pool.close()
+        rmSync(dir, {recursive: true, force: true})
+    }
+}
+
+runTests()
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Node.js worker pool in pandoc-wasm
+ *
+ * Tests that createPandocPool() runs conversions in worker threads,
+ * spreads them over the workers and passes files back and forth.
+ */
+
+import {createPandocPool} from "./index.js"
+
+console.log("Testing createPandocPool() in pandoc-wasm...\n")
+
+async function runTests() {
+    const pool = await createPandocPool({size: 2})
+    try {
+        // Test 1: Query through the pool
+        console.log("Test 1: Query version")
+        const version = await pool.query({query: "version"})
+        console.log("✓ Pandoc version:", version)
+
+        // Test 2: Parallel conversions with files
+        console.log("\nTest 2: Parallel conversions")
+        const names = ["one", "two", "three", "four"]
+        const results = await Promise.all(
+            names.map(name =>
+                pool.convert(
+                    {
+                        from: "markdown",
+                        to: "html",
+                        "input-files": [`${name}.md`],
+                        "output-file": `${name}.html`
+                    },
+                    null,
+                    {[`${name}.md`]: new Blob([`# ${name}`])}
+                )
+            )
+        )
+        for (const [i, name] of names.entries()) {
+            const output = results[i].files[`${name}.html`]
+            if (!(output instanceof Blob)) {
+                throw new Error(`Missing output file ${name}.html`)
+            }
+            const html = await output.text()
+            if (!html.includes(`>${name}</h1>`)) {
+                throw new Error(`Unexpected output for ${name}: ${html}`)
+            }
+        }
+        console.log("✓ All conversions returned their own output files")
+
+        // Test 3: Work is spread over the workers
+        console.log("\nTest 3: Worker stats")
+        const stats = pool.stats()
+        console.log("  Stats:", JSON.stringify(stats))
+        // Five calls in total: the query and the four conversions
+        const completed = stats.map(s => s.completed)
+        if (completed.join() !== "3,2") {
+            throw new Error("Calls were not distributed round-robin")
+        }
+        console.log("✓ Calls were distributed round-robin")
+
+        // Test 4: A runaway conversion times out without breaking the pool
+        console.log("\nTest 4: Timeout of a running conversion")
+        const start = Date.now()
+        try {
+            await pool.convert(
+                {from: "markdown", to: "html", filters: ["loop.lua"]},
+                "# Never finishes",
+                {"loop.lua": "while true do end"},
+                {timeoutMs: 1000}
+            )
+            throw new Error("Runaway conversion did not time out")
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                throw error
+            }
+        }
+        console.log(`✓ Rejected with AbortError after ${Date.now() - start} ms`)
+        const afterTimeout = await Promise.all([
+            pool.convert({from: "markdown", to: "plain"}, "*still*", {}),
+            pool.convert({from: "markdown", to: "plain"}, "*working*", {})
+        ])
+        if (
+            afterTimeout.map(r => r.stdout.trim()).join(" ") !== "still working"
+        ) {
+            throw new Error("Pool did not recover after a timeout")
+        }
+        const restarts = pool.stats().reduce((n, s) => n + s.restarts, 0)
+        if (restarts !== 1) {
+            throw new Error(`Expected 1 worker restart, got ${restarts}`)
+        }
+        console.log("✓ The worker was replaced and later calls work")
+
+        // Test 5: Aborting with an AbortSignal
+        console.log("\nTest 5: Abort with an AbortSignal")
+        const controller = new AbortController()
+        const aborted = pool.convert(
+            {from: "markdown", to: "html", filters: ["loop.lua"]},
+            "# Never finishes",
+            {"loop.lua": "while true do end"},
+            {signal: controller.signal}
+        )
+        setTimeout(() => controller.abort(), 500)
+        try {
+            await aborted
+            throw new Error("Aborted conversion did not fail")
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                throw error
+            }
+        }
+        console.log("✓ Rejected with AbortError")
+        try {
+            await pool.query({query: "version"}, {signal: AbortSignal.abort()})
+            throw new Error("Aborted query did not fail")
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                throw error
+            }
+        }
+        console.log("✓ Queries can be cancelled too")
+
+        // Functions can't be sent to the workers
+        try {
+            await pool.convert(
+                {from: "markdown", to: "html"},
+                "x",
+                {},
+                {
+                    onStdout: () => {}
+                }
+            )
+            throw new Error("A function call option was not rejected")
+        } catch (error) {
+            if (
+                !(error instanceof TypeError) ||
+                !error.message.includes("onStdout")
+            ) {
+                throw error
+            }
+        }
+        try {
+            await pool.convert(
+                {from: "markdown", to: "html", metadata: {f: () => {}}},
+                "x",
+                {}
+            )
+            throw new Error("A function in the options was not rejected")
+        } catch (error) {
+            if (error.name !== "DataCloneError") {
+                throw error
+            }
+        }
+        if ((await pool.query({query: "version"})) !== version) {
+            throw new Error("The pool doesn't work after a failed call")
+        }
+        console.log("✓ Calls with functions are rejected")
+
+        // Test 6: Capabilities are collected once for the pool
+        console.log("\nTest 6: Capabilities")
+        const capabilities = await pool.capabilities()
+        if (
+            capabilities !== (await pool.capabilities()) ||
+            capabilities.version !== version ||
+            capabilities.extensions.markdown.smart !== true
+        ) {
+            throw new Error("Unexpected capabilities")
+        }
+        console.log("✓ Cached capabilities of pandoc", capabilities.version)
+    } finally {
+        await pool.close()
+    }
+
+    // Test 7: Calls after close() are rejected
+    console.log("\nTest 7: Closed pool")
+    try {
+        await pool.query({query: "version"})
+        throw new Error("Call on closed pool did not fail")
+    } catch (error) {
+        if (!error.message.includes("closed")) {
+            throw error
+        }
+        console.log("✓ Calls on a closed pool are rejected")
+    }
+
+    console.log("\n✓ All pool tests completed successfully!")
+}
+
+runTests().catch(error => {
+    console.error("\n✗ Test failed with error:")
+    console.error(error)
+    process.exit(1)
+})
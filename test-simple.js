@@ -6,7 +6,19 @@
  * This package works in both Node.js and browser environments.
  */
 
-import {convert, query} from "./index.js"
+import {Readable} from "node:stream"
+import {
+    PandocError,
+    convert,
+    createPandoc,
+    formatInfo,
+    formatWarning,
+    formats,
+    parseArgs,
+    query,
+    toCommandLine,
+    validateOptions
+} from "./index.js"
 
 console.log("Testing pandoc-wasm...\n")
 
@@ -76,6 +88,908 @@ This is a **test** of the pandoc-wasm package.
             console.log("✗ Plain text conversion failed")
         }
 
+        // Test 6: Explicitly created instance
+        console.log("\nTest 6: Explicit createPandoc() instance")
+        const instance = await createPandoc({rtsOptions: ["-H32m"]})
+        const instanceResult = await instance.convert(
+            {from: "markdown", to: "html"},
+            "*emphasis*",
+            {}
+        )
+        if (instanceResult.stdout.includes("<em>emphasis</em>")) {
+            console.log("✓ Explicit instance conversion successful")
+        } else {
+            throw new Error(
+                `Unexpected output from explicit instance: ${instanceResult.stdout}`
+            )
+        }
+
+        // Test 7: Overlapping conversions on the same instance
+        console.log("\nTest 7: Concurrent conversions")
+        const names = ["alpha", "beta", "gamma", "delta"]
+        const pending = names.map(name =>
+            instance.convert(
+                {
+                    from: "markdown",
+                    to: "html",
+                    "input-files": [`${name}.md`],
+                    "output-file": `${name}.html`
+                },
+                null,
+                {[`${name}.md`]: `# ${name}`}
+            )
+        )
+        console.log("  Queue depth:", instance.queueDepth)
+        const concurrentResults = await Promise.all(pending)
+        for (const [i, name] of names.entries()) {
+            const files = concurrentResults[i].files
+            const html = await files[`${name}.html`].text()
+            if (!html.includes(name) || Object.keys(files).length !== 2) {
+                throw new Error(`Conversion of ${name}.md got mixed results`)
+            }
+        }
+        console.log("✓ Concurrent conversions kept their own files")
+
+        // Test 8: Cancelling a call that is still queued
+        console.log("\nTest 8: Cancel a queued conversion")
+        const controller = new AbortController()
+        const first = instance.convert({from: "markdown", to: "html"}, "a", {})
+        const second = instance.convert(
+            {from: "markdown", to: "html"},
+            "b",
+            {},
+            {signal: controller.signal}
+        )
+        controller.abort()
+        const [firstOutcome, secondOutcome] = await Promise.allSettled([
+            first,
+            second
+        ])
+        if (
+            firstOutcome.status !== "fulfilled" ||
+            secondOutcome.reason?.name !== "AbortError"
+        ) {
+            throw new Error("Queued conversion was not cancelled")
+        }
+        console.log("✓ Queued conversion rejected with AbortError")
+
+        // Test 9: Failed conversions reject with a PandocError
+        console.log("\nTest 9: PandocError for failed conversions")
+        try {
+            await instance.convert(
+                {from: "latex", to: "html"},
+                "\\begin{itemize}\n\\item unfinished",
+                {}
+            )
+            throw new Error("Invalid LaTeX did not fail")
+        } catch (error) {
+            if (
+                !(error instanceof PandocError) ||
+                error.exitCode !== 64 ||
+                error.category !== "PandocParseError" ||
+                error.position?.source !== "/stdin"
+            ) {
+                throw error
+            }
+            console.log("✓ PandocError:", error.exitCode, error.category)
+        }
+        const unchecked = await instance.convert(
+            {from: "nosuch", to: "html"},
+            "text",
+            {},
+            {throwOnError: false}
+        )
+        if (
+            !unchecked.stderr.includes("Unknown input format") ||
+            unchecked.ok ||
+            unchecked.exitCode !== 21
+        ) {
+            throw new Error("throwOnError: false did not return the result")
+        }
+        console.log("✓ throwOnError: false returns the result instead")
+
+        // Test 10: Exit status on results
+        console.log("\nTest 10: Exit status")
+        const succeeded = await instance.convert(
+            {from: "markdown", to: "html"},
+            "*ok*",
+            {}
+        )
+        if (!succeeded.ok || succeeded.exitCode !== 0) {
+            throw new Error("Successful conversion did not report ok")
+        }
+        const legacy = await instance.pandoc("-f nosuch -t html", "text")
+        if (legacy.ok || legacy.exitCode !== 21) {
+            throw new Error("Legacy API did not report the exit code")
+        }
+        console.log("✓ exitCode/ok:", succeeded.exitCode, legacy.exitCode)
+
+        // Test 11: Binary stdin
+        console.log("\nTest 11: Binary stdin")
+        const docx = (
+            await instance.convert(
+                {from: "markdown", to: "docx", "output-file": "in.docx"},
+                "# Binary *input*",
+                {}
+            )
+        ).files["in.docx"]
+        const docxBytes = new Uint8Array(await docx.arrayBuffer())
+        for (const stdin of [docx, docxBytes, docxBytes.buffer]) {
+            const result = await instance.convert(
+                {from: "docx", to: "markdown"},
+                stdin,
+                {}
+            )
+            if (!result.stdout.includes("Binary *input*")) {
+                throw new Error(`Binary stdin failed: ${result.stdout}`)
+            }
+        }
+        console.log("✓ Blob, Uint8Array and ArrayBuffer stdin converted")
+
+        // Test 12: Binary stdout
+        console.log("\nTest 12: Binary stdout")
+        const binary = await instance.convert(
+            {from: "markdown", to: "docx"},
+            "# Binary output",
+            {}
+        )
+        if (
+            !(binary.stdout instanceof Blob) ||
+            binary.stdout.size !== binary.stdoutBytes.length ||
+            binary.stdoutBytes[0] !== 0x50 // "PK", a zip file
+        ) {
+            throw new Error("docx written to stdout was not returned as binary")
+        }
+        if (!(succeeded.stdoutBytes instanceof Uint8Array)) {
+            throw new Error("stdoutBytes missing from text output")
+        }
+        console.log("✓ docx on stdout returned as a Blob:", binary.stdout.size)
+
+        // Test 13: Binary containers as file values
+        console.log("\nTest 13: File value types")
+        const fileValues = {
+            "buffer.md": Buffer.from("buffer"),
+            "bytes.md": new TextEncoder().encode("bytes"),
+            "arraybuffer.md": new TextEncoder().encode("arraybuffer").buffer,
+            "file.md": new File(["file"], "file.md"),
+            "response.md": new Response("response"),
+            "stream.md": new Blob(["stream"]).stream(),
+            "iterable.md": Readable.from([
+                "iter",
+                new TextEncoder().encode("able")
+            ])
+        }
+        const combined = await instance.convert(
+            {
+                from: "markdown",
+                to: "plain",
+                "input-files": Object.keys(fileValues)
+            },
+            null,
+            fileValues
+        )
+        const words = combined.stdout.split(/\s+/).filter(Boolean)
+        if (
+            words.join(" ") !==
+            "buffer bytes arraybuffer file response stream iterable"
+        ) {
+            throw new Error(`Unexpected output: ${combined.stdout}`)
+        }
+        try {
+            await instance.convert({}, "text", {"bad.md": 42})
+            throw new Error("Unsupported file value was accepted")
+        } catch (error) {
+            if (
+                !(error instanceof TypeError) ||
+                !error.message.includes("bad.md")
+            ) {
+                throw error
+            }
+        }
+        console.log(
+            "✓ All binary containers accepted, TypeError names the file"
+        )
+
+        // Test 14: Directory tree
+        console.log("\nTest 14: Directories in the virtual filesystem")
+        const tree = await instance.convert(
+            {
+                from: "markdown",
+                to: "markdown",
+                "input-files": ["chapters/one.md"],
+                "extract-media": "out/media"
+            },
+            null,
+            {
+                "./chapters/one.md": "![Logo](img/logo.txt)",
+                "img/logo.txt": "not really an image"
+            }
+        )
+        if (
+            !tree.stdout.includes("out/media/") ||
+            Object.keys(tree.mediaFiles).length !== 1 ||
+            !Object.keys(tree.mediaFiles)[0].startsWith("out/media/")
+        ) {
+            throw new Error(
+                `Unexpected result: ${tree.stdout} ${Object.keys(tree.mediaFiles)}`
+            )
+        }
+        console.log(
+            "✓ Nested files found and extracted:",
+            Object.keys(tree.mediaFiles)
+        )
+
+        // Test 15: Workspace
+        console.log("\nTest 15: Workspace")
+        const workspace = instance.workspace()
+        await workspace.writeFile("assets/header.html", "<p>shared</p>")
+        for (const text of ["one", "two"]) {
+            const result = await workspace.convert(
+                {
+                    from: "markdown",
+                    to: "html",
+                    standalone: true,
+                    "include-before-body": ["assets/header.html"],
+                    "output-file": `out/${text}.html`
+                },
+                text
+            )
+            const html = await result.files[`out/${text}.html`].text()
+            if (!html.includes("<p>shared</p>") || !html.includes(text)) {
+                throw new Error(`Workspace file not used: ${html}`)
+            }
+        }
+        const listed = await workspace.list()
+        if (listed.join() !== "assets/header.html") {
+            throw new Error(`Outputs were kept in the workspace: ${listed}`)
+        }
+        if (
+            (await (await workspace.readFile("assets/header.html")).text()) !==
+            "<p>shared</p>"
+        ) {
+            throw new Error("readFile returned the wrong content")
+        }
+        if (
+            !(await workspace.remove("assets")) ||
+            (await workspace.list()).length
+        ) {
+            throw new Error("remove() did not remove the directory")
+        }
+        console.log("✓ Workspace files persist, outputs don't")
+
+        // Test 16: Storage mounts
+        console.log("\nTest 16: Storage backend mounts")
+        const stored = new Map([["doc.md", "# Stored"]])
+        let reads = 0
+        const storage = {
+            list: () =>
+                Promise.resolve(
+                    Array.from(stored.keys(), path => ({path, version: 1}))
+                ),
+            read: path => {
+                reads++
+                return Promise.resolve(stored.get(path))
+            },
+            write: (path, bytes) => Promise.resolve(stored.set(path, bytes)),
+            remove: path => Promise.resolve(stored.delete(path))
+        }
+        for (let i = 0; i < 2; i++) {
+            await instance.convert(
+                {
+                    from: "markdown",
+                    to: "html",
+                    "input-files": ["project/doc.md"],
+                    "output-file": "project/out/doc.html"
+                },
+                null,
+                {},
+                {mounts: {project: {storage, readonly: false}}}
+            )
+        }
+        const saved = stored.get("out/doc.html")
+        if (!saved || !new TextDecoder().decode(saved).includes("Stored")) {
+            throw new Error("Output was not saved to the storage backend")
+        }
+        // doc.md is cached, the output is read again after being replaced
+        if (reads !== 2) {
+            throw new Error(`Unexpected number of reads: ${reads}`)
+        }
+        console.log("✓ Output saved to the store, unchanged files cached")
+
+        // A FileSystemDirectoryHandle like the ones of the OPFS, in memory
+        let fileReads = 0
+        function directoryHandle() {
+            const children = new Map()
+            function child(name, create, make) {
+                if (!children.has(name)) {
+                    if (!create) {
+                        return Promise.reject(
+                            new DOMException(name, "NotFoundError")
+                        )
+                    }
+                    children.set(name, make())
+                }
+                return Promise.resolve(children.get(name))
+            }
+            return {
+                kind: "directory",
+                children,
+                entries: () => children.entries(),
+                getDirectoryHandle: (name, {create} = {}) =>
+                    child(name, create, directoryHandle),
+                getFileHandle: (name, {create} = {}) =>
+                    child(name, create, () => fileHandle(name)),
+                removeEntry: name => Promise.resolve(children.delete(name))
+            }
+        }
+        function fileHandle(name) {
+            const handle = {
+                kind: "file",
+                file: new File([], name, {lastModified: 0}),
+                getFile: () => {
+                    fileReads++
+                    return Promise.resolve(handle.file)
+                },
+                createWritable: () => {
+                    const parts = []
+                    return Promise.resolve({
+                        write: data => Promise.resolve(parts.push(data)),
+                        close: () => {
+                            handle.file = new File(parts, name, {
+                                lastModified: handle.file.lastModified + 1
+                            })
+                            return Promise.resolve()
+                        }
+                    })
+                }
+            }
+            return handle
+        }
+        const opfs = directoryHandle()
+        const source = await opfs.getFileHandle("doc.md", {create: true})
+        source.file = new File(["# OPFS"], "doc.md", {lastModified: 1})
+        for (let i = 0; i < 2; i++) {
+            await instance.convert(
+                {
+                    from: "markdown",
+                    to: "html",
+                    "input-files": ["site/doc.md"],
+                    "output-file": "site/out/doc.html"
+                },
+                null,
+                {},
+                {mounts: {site: {opfs, readonly: false}}}
+            )
+        }
+        const opfsOutput = opfs.children.get("out")?.children.get("doc.html")
+        if (!opfsOutput || !(await opfsOutput.file.text()).includes("OPFS")) {
+            throw new Error("Output was not saved to the OPFS directory")
+        }
+        // Listing gets each file, doc.md is only read the first time
+        if (fileReads !== 5) {
+            throw new Error(`Unexpected number of reads: ${fileReads}`)
+        }
+        console.log("✓ Output saved to the OPFS directory")
+
+        // Test 17: Resolving missing files
+        console.log("\nTest 17: resolveFile() for missing files")
+        const requested = []
+        const resolved = await instance.convert(
+            {from: "latex", to: "markdown", "extract-media": "media"},
+            "\\input{chapter}\n\n\\includegraphics{logo.png}",
+            {},
+            {
+                resolveFile(path) {
+                    requested.push(path)
+                    if (path === "chapter.tex") {
+                        return "Included \\emph{chapter}"
+                    }
+                    if (path === "logo.png") {
+                        return Promise.resolve(new Blob(["png"]))
+                    }
+                    return null
+                }
+            }
+        )
+        if (
+            !resolved.stdout.includes("Included *chapter*") ||
+            !resolved.mediaFiles["media/logo.png"] ||
+            requested.filter(path => path === "logo.png").length !== 1
+        ) {
+            throw new Error(`Files were not resolved: ${resolved.stdout}`)
+        }
+        console.log("✓ Synchronous and asynchronous files resolved")
+
+        // Test 18: Remote resources
+        console.log("\nTest 18: fetch() for remote resources")
+        const fetched = []
+        const remote = await instance.convert(
+            {
+                from: "markdown",
+                to: "html",
+                standalone: true,
+                "embed-resources": true,
+                citeproc: true
+            },
+            "---\ntitle: Remote\nbibliography: https://example.com/refs.bib\n---\n\n![Logo](https://example.com/logo.svg) [@doe]\n",
+            {},
+            {
+                fetch(url) {
+                    fetched.push(url)
+                    if (url.endsWith(".bib")) {
+                        return Promise.resolve(
+                            "@book{doe, title={Remote Book}, author={Doe, Jane}, year={2020}}"
+                        )
+                    }
+                    return new Response(
+                        '<svg xmlns="http://www.w3.org/2000/svg"/>'
+                    )
+                }
+            }
+        )
+        if (
+            !remote.stdout.includes("data:image/svg+xml;base64,") ||
+            !remote.stdout.includes("Remote Book") ||
+            fetched.length !== 2 ||
+            Object.keys(remote.files).length !== 0
+        ) {
+            throw new Error(`Resources were not fetched: ${remote.stdout}`)
+        }
+        console.log("✓ Remote image embedded and bibliography used")
+
+        // Only the metadata fields that name files are replaced
+        const sourceUrl = await instance.convert(
+            {from: "markdown", to: "markdown", standalone: true},
+            "---\nbibliography: https://example.com/refs.bib\nsource-url: https://example.com/refs.bib\n---\n\nText\n",
+            {},
+            {fetch: () => "@book{doe, title={Remote Book}}"}
+        )
+        if (
+            !sourceUrl.stdout.includes(
+                'source-url: "https://example.com/refs.bib"'
+            ) ||
+            !sourceUrl.stdout.includes("bibliography: .fetched/")
+        ) {
+            throw new Error(`Unexpected metadata: ${sourceUrl.stdout}`)
+        }
+        console.log("✓ Other metadata fields are left alone")
+
+        const svg = () =>
+            new Response('<svg xmlns="http://www.w3.org/2000/svg"/>')
+        const writerHtml = await instance.convert(
+            {
+                from: "markdown",
+                writer: "html",
+                standalone: true,
+                "embed-resources": true
+            },
+            "![x](https://example.com/a.svg)",
+            {},
+            {fetch: svg}
+        )
+        const writerDocx = await instance.convert(
+            {reader: "markdown", writer: "docx"},
+            "![x](https://example.com/a.svg)",
+            {},
+            {fetch: svg}
+        )
+        const docxWithImage = new TextDecoder("latin1").decode(
+            await writerDocx.stdout.arrayBuffer()
+        )
+        if (
+            !writerHtml.stdout.includes("data:image/svg+xml;base64,") ||
+            !docxWithImage.includes("media/")
+        ) {
+            throw new Error("Resources were not fetched with `writer`")
+        }
+        console.log("✓ `writer` is used like `to`")
+
+        const unreadable = await instance.convert(
+            {from: "markdown", to: "html", "input-files": ["missing.md"]},
+            null,
+            {},
+            {fetch: svg, throwOnError: false}
+        )
+        if (unreadable.ok || unreadable.exitCode === 0) {
+            throw new Error(
+                `Unreadable document not reported: ${JSON.stringify(unreadable)}`
+            )
+        }
+        console.log(
+            "✓ Unreadable document returned with exit code",
+            unreadable.exitCode
+        )
+
+        // Test 19: Output of Lua filters
+        console.log("\nTest 19: onStdout/onLog callbacks and logs")
+        const printed = []
+        const logged = []
+        const logResult = await instance.convert(
+            {
+                from: "markdown",
+                to: "html",
+                standalone: true,
+                filters: ["p.lua"]
+            },
+            "Text",
+            {
+                "p.lua":
+                    'function Para(para) print("para: " .. #para.content) end'
+            },
+            {
+                onStdout: line => printed.push(line),
+                onLog: message => logged.push(message.type)
+            }
+        )
+        if (
+            printed.join() !== "para: 1" ||
+            logResult.logs[0]?.text !== "para: 1" ||
+            logResult.logs[0]?.stream !== "stdout" ||
+            !logged.includes("NoTitleElement")
+        ) {
+            throw new Error(
+                `Unexpected output: ${JSON.stringify({printed, logged})}`
+            )
+        }
+        console.log("✓ Filter output and log messages passed to callbacks")
+
+        // Pandoc runs again for files resolveFile() resolves
+        // asynchronously, and once more to read the document for fetch()
+        const rerunPrinted = []
+        const rerunResult = await instance.convert(
+            {from: "latex", to: "html", filters: ["p.lua"]},
+            "Intro\n\n\\input{chapter}",
+            {"p.lua": 'function Para() print("para") end'},
+            {
+                resolveFile: path =>
+                    path === "chapter.tex" ? Promise.resolve("Chapter") : null,
+                fetch: () => null,
+                onStdout: line => rerunPrinted.push(line)
+            }
+        )
+        if (
+            rerunPrinted.join() !== "para,para" ||
+            rerunResult.logs.map(log => log.text).join() !== "para,para"
+        ) {
+            throw new Error(
+                `Output of earlier runs passed on: ${JSON.stringify(rerunPrinted)}`
+            )
+        }
+        console.log("✓ Only the output of the last run passed to callbacks")
+
+        // The lines are passed on when resolving a file fails as well
+        const failedPrinted = []
+        try {
+            await instance.convert(
+                {from: "latex", to: "html", filters: ["p.lua"]},
+                "Intro\n\n\\input{chapter}",
+                {"p.lua": 'function Para() print("para") end'},
+                {
+                    resolveFile: () => Promise.reject(new Error("Offline")),
+                    onStdout: line => failedPrinted.push(line)
+                }
+            )
+            throw new Error("A failed resolveFile() was not reported")
+        } catch (error) {
+            if (
+                error.message !== "Offline" ||
+                failedPrinted.join() !== "para"
+            ) {
+                throw error
+            }
+        }
+        console.log("✓ Output passed to callbacks when a conversion fails")
+
+        // Test 20: Normalized warnings
+        console.log("\nTest 20: Warnings with positions")
+        const warned = await instance.convert(
+            {from: "markdown", to: "html", "input-files": ["links.md"]},
+            null,
+            {"links.md": "Text\n\n[a]: /x\n[a]: /y\n"}
+        )
+        const [duplicate] = warned.warnings
+        if (
+            duplicate?.type !== "DuplicateLinkReference" ||
+            duplicate.position?.source !== "links.md" ||
+            duplicate.position.line !== 4 ||
+            duplicate.raw.contents !== "[a]" ||
+            formatWarning(duplicate) !==
+                "links.md:4:1: [WARNING] Duplicate link reference '[a]'"
+        ) {
+            throw new Error(`Unexpected warnings: ${JSON.stringify(warned)}`)
+        }
+        console.log("✓", formatWarning(duplicate))
+
+        // Test 21: Option validation
+        console.log("\nTest 21: validateOptions() and strict mode")
+        const optionErrors = await validateOptions({
+            from: "markdown+smrt",
+            to: "html",
+            tableofcontents: true,
+            wrap: "preserv"
+        })
+        const suggestions = optionErrors.map(error => error.suggestion)
+        if (
+            suggestions.join() !== "smart,table-of-contents,preserve" ||
+            (await validateOptions({from: "markdown", to: "docx"})).length !== 0
+        ) {
+            throw new Error(
+                `Unexpected errors: ${JSON.stringify(optionErrors)}`
+            )
+        }
+        try {
+            await instance.convert(
+                {from: "markdown", to: "htlm"},
+                "text",
+                {},
+                {
+                    strict: true
+                }
+            )
+            throw new Error("Invalid options were not rejected")
+        } catch (error) {
+            if (
+                !(error instanceof PandocError) ||
+                error.category !== "PandocOptionError" ||
+                error.optionErrors[0]?.suggestion !== "html"
+            ) {
+                throw error
+            }
+        }
+        const strictResult = await instance.convert(
+            {from: "markdown", to: "htlm"},
+            "text",
+            {},
+            {strict: true, throwOnError: false, onStderr: () => {}}
+        )
+        if (
+            strictResult.ok ||
+            strictResult.exitCode !== 6 ||
+            !strictResult.stderr.startsWith(
+                'ERROR: Unknown output format "htlm"'
+            )
+        ) {
+            throw new Error(
+                `Invalid options not returned: ${JSON.stringify(strictResult)}`
+            )
+        }
+        console.log("✓", optionErrors[1].message)
+
+        // Test 22: Command line arguments
+        console.log("\nTest 22: parseArgs() and the legacy pandoc() API")
+        const parsed = parseArgs(
+            `--from=markdown -t html -sN -M "title=A \\"quoted\\" title" -V draft --lua-filter 'my filter.lua' --citeproc --mathjax in.md`
+        )
+        const expected = {
+            from: "markdown",
+            to: "html",
+            standalone: true,
+            "number-sections": true,
+            metadata: {title: 'A "quoted" title'},
+            variables: {draft: "true"},
+            filters: [{type: "lua", path: "my filter.lua"}, {type: "citeproc"}],
+            "html-math-method": {method: "mathjax"},
+            "input-files": ["in.md"]
+        }
+        if (JSON.stringify(parsed) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected options: ${JSON.stringify(parsed)}`)
+        }
+        // Only metadata values are booleans
+        const booleans = parseArgs("-M draft=false -V draft=false")
+        if (
+            booleans.metadata.draft !== false ||
+            booleans.variables.draft !== "false"
+        ) {
+            throw new Error(`Unexpected options: ${JSON.stringify(booleans)}`)
+        }
+        try {
+            parseArgs("--form markdown")
+            throw new Error("An unknown option was not rejected")
+        } catch (error) {
+            if (
+                !(error instanceof PandocError) ||
+                error.category !== "PandocOptionError" ||
+                !error.message.includes("--from")
+            ) {
+                throw error
+            }
+        }
+        const legacyHeading = await instance.pandoc(
+            "-f markdown -t html --number-sections -M 'title=Two words' -s",
+            "# Heading"
+        )
+        if (
+            !legacyHeading.out.includes(
+                'class="header-section-number">1</span>'
+            ) ||
+            !legacyHeading.out.includes('<h1 class="title">Two words</h1>')
+        ) {
+            throw new Error(`Unexpected output: ${legacyHeading.out}`)
+        }
+        console.log("✓ Parsed", Object.keys(parsed).length, "options")
+
+        // Test 23: Options as a command line
+        console.log("\nTest 23: toCommandLine()")
+        const lineOptions = {
+            from: "markdown",
+            to: "html",
+            standalone: true,
+            metadata: {title: "It's here"},
+            "number-sections": true
+        }
+        const commandLine = toCommandLine(lineOptions)
+        const fromOptions = await instance.convert(lineOptions, "# Heading")
+        const fromCommandLine = await instance.pandoc(
+            commandLine.argv,
+            "# Heading"
+        )
+        const withDefaults = toCommandLine(
+            {to: "html", variables: {keywords: ["one"]}},
+            {"defaults.yaml": ""}
+        )
+        if (
+            commandLine.command !==
+                "pandoc --from=markdown --to=html --standalone '--metadata=title=It'\\''s here' --number-sections" ||
+            commandLine.defaults !== null ||
+            JSON.stringify(parseArgs(commandLine.command)) !==
+                JSON.stringify(lineOptions) ||
+            fromCommandLine.out !== fromOptions.stdout ||
+            withDefaults.command !==
+                "pandoc --defaults=defaults-1.yaml --to=html" ||
+            withDefaults.defaults.contents !==
+                'variables:\n  keywords:\n    - "one"\n' ||
+            toCommandLine({variables: {draft: "false"}}).command !==
+                "pandoc --variable=draft=false" ||
+            toCommandLine({variables: {draft: true}}).defaults === null
+        ) {
+            throw new Error(`Unexpected command line: ${commandLine.command}`)
+        }
+        console.log("✓", commandLine.command)
+
+        // Test 24: Defaults files
+        console.log("\nTest 24: Defaults files")
+        const profiles = {
+            "profiles/base.yaml":
+                "standalone: true\nmetadata:\n  title: Base\n  lang: en\nfilters:\n  - ${.}/shout.lua\n",
+            "profiles/html.yaml":
+                "defaults: ${.}/base\nto: html\nmetadata:\n  title: HTML\n",
+            "profiles/shout.lua":
+                "function Str(s) return pandoc.Str(s.text:upper()) end",
+            "loop.yaml": "defaults: loop"
+        }
+        const profiled = await instance.convert(
+            {
+                defaults: ["profiles/html.yaml"],
+                from: "markdown",
+                metadata: {subtitle: "Overridden"}
+            },
+            "hello",
+            profiles
+        )
+        if (
+            !profiled.stdout.includes("<title>HTML</title>") ||
+            !profiled.stdout.includes('class="subtitle">Overridden') ||
+            !profiled.stdout.includes('lang="en"') ||
+            !profiled.stdout.includes("<p>HELLO</p>")
+        ) {
+            throw new Error(`Unexpected output: ${profiled.stdout}`)
+        }
+        try {
+            await instance.convert({defaults: "loop"}, "text", profiles)
+            throw new Error("A circular defaults file was not rejected")
+        } catch (error) {
+            if (
+                !(error instanceof PandocError) ||
+                !error.message.startsWith("Circular defaults file reference")
+            ) {
+                throw error
+            }
+        }
+        const missingDefaults = await instance.convert(
+            {defaults: "nope", from: "markdown", to: "html"},
+            "text",
+            {},
+            {throwOnError: false, onStderr: () => {}}
+        )
+        if (
+            missingDefaults.ok ||
+            missingDefaults.exitCode !== 97 ||
+            missingDefaults.stderr !==
+                "ERROR: Could not find data file nope.yaml\n"
+        ) {
+            throw new Error(
+                `Missing defaults file not returned: ${JSON.stringify(missingDefaults)}`
+            )
+        }
+        // Command lines with a defaults file run like the options
+        const withVariables = {
+            from: "markdown",
+            to: "html",
+            standalone: true,
+            variables: {pagetitle: ["Listed"]}
+        }
+        const variablesCommand = toCommandLine(withVariables)
+        const variablesResult = await instance.pandoc(
+            variablesCommand.argv,
+            "text",
+            [
+                {
+                    filename: variablesCommand.defaults.path,
+                    contents: variablesCommand.defaults.contents
+                }
+            ]
+        )
+        if (
+            variablesResult.out !==
+            (await instance.convert(withVariables, "text")).stdout
+        ) {
+            throw new Error(`Unexpected output: ${variablesResult.out}`)
+        }
+        console.log("✓ Inherited, merged and overridden defaults files")
+
+        // Test 25: Capabilities
+        console.log("\nTest 25: capabilities()")
+        const caps = await instance.capabilities()
+        const queriedFormats = await instance.query({query: "input-formats"})
+        queriedFormats.push("changed")
+        if (
+            caps !== (await instance.capabilities()) ||
+            !Object.isFrozen(caps.extensions.markdown) ||
+            caps.extensions.markdown.smart !== true ||
+            caps.extensions.docx.styles !== false ||
+            caps.version !== version ||
+            !caps.highlightStyles.includes("tango") ||
+            !caps.highlightLanguages.includes("haskell") ||
+            caps.inputFormats.includes("changed") ||
+            (await instance.query({query: "input-formats"})).includes("changed")
+        ) {
+            throw new Error("Unexpected capabilities")
+        }
+        console.log(
+            "✓ Extensions of",
+            Object.keys(caps.extensions).length,
+            "formats"
+        )
+
+        // Test 26: Format catalog and binary output
+        console.log("\nTest 26: formats and binary output")
+        const mismatched = Object.values(formats).filter(
+            format =>
+                format.reader !== caps.inputFormats.includes(format.name) ||
+                format.writer !== caps.outputFormats.includes(format.name)
+        )
+        const chunked = await instance.convert(
+            {from: "markdown", to: "chunkedhtml"},
+            "# One\n\ntext\n\n# Two\n\ntext",
+            {}
+        )
+        const odt = await instance.convert(
+            {
+                from: "markdown",
+                to: "odt+native_numbering",
+                "output-file": "a.odt"
+            },
+            "text",
+            {}
+        )
+        if (
+            mismatched.length > 0 ||
+            Object.keys(formats).length !==
+                new Set([...caps.inputFormats, ...caps.outputFormats]).size ||
+            formatInfo("docx+styles")?.extension !== "docx" ||
+            formatInfo("custom.lua") !== null ||
+            chunked.stdout.type !== "application/zip" ||
+            chunked.stdout.size === 0 ||
+            Object.keys(chunked.files).length !== 0 ||
+            odt.files["a.odt"].type !== formats.odt.mimeType ||
+            odt.stdout !== ""
+        ) {
+            throw new Error(
+                `Unexpected formats: ${mismatched.map(format => format.name)}`
+            )
+        }
+        console.log("✓", Object.keys(formats).length, "formats")
+
         console.log("\n✓ All tests completed successfully!")
         console.log("\npandoc-wasm is working correctly.")
     } catch (error) {
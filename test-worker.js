@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Web Worker proxy in pandoc-wasm
+ *
+ * Tests createPandocWorker()'s proxy with fake Worker objects, which run
+ * src/worker.browser.js in Node.js worker threads: conversions, errors,
+ * cancelling a running conversion, crashed workers and terminating.
+ */
+
+import {Worker} from "node:worker_threads"
+import {PandocError} from "./index.js"
+import {compileNodeWasm} from "./src/wasm.node.js"
+import {createWorkerProxy} from "./src/worker-proxy.browser.js"
+
+console.log("Testing the Web Worker proxy of pandoc-wasm...\n")
+
+// Runs the browser worker script with a `self` like a Web Worker's
+const workerScript = `
+const {parentPort, workerData} = require("node:worker_threads")
+const listeners = []
+const queued = []
+globalThis.self = {
+    addEventListener: (type, listener) => listeners.push(listener),
+    postMessage: (message, transfer) => parentPort.postMessage(message, transfer)
+}
+parentPort.on("message", data =>
+    listeners.length > 0
+        ? listeners.forEach(listener => listener({data}))
+        : queued.push(data)
+)
+import(workerData.url).then(() => {
+    for (const data of queued.splice(0)) {
+        listeners.forEach(listener => listener({data}))
+    }
+})
+`
+
+// The fake Workers created so far
+const workers = []
+
+// A fake Worker with the part of the Worker API the proxy uses
+function fakeWorker() {
+    const thread = new Worker(workerScript, {
+        eval: true,
+        workerData: {
+            url: new URL("./src/worker.browser.js", import.meta.url).href
+        }
+    })
+    const listeners = {message: [], error: []}
+    const emit = (type, event) => {
+        for (const listener of listeners[type]) {
+            listener(event)
+        }
+    }
+    thread.on("message", data => emit("message", {data}))
+    thread.on("error", error => emit("error", {message: error.message}))
+    const worker = {
+        terminated: false,
+        addEventListener: (type, listener) => listeners[type].push(listener),
+        postMessage: (message, transfer) =>
+            thread.postMessage(message, transfer),
+        terminate() {
+            worker.terminated = true
+            thread.terminate()
+        },
+        // An error event, which doesn't stop a Web Worker
+        crash: () => emit("error", {message: "Crashed"})
+    }
+    workers.push(worker)
+    return worker
+}
+
+async function runTests() {
+    const proxy = await createWorkerProxy({
+        wasm: await compileNodeWasm({}),
+        worker: fakeWorker,
+        silent: true
+    })
+    try {
+        // Test 1: Conversion with Blobs in and out of the worker
+        console.log("Test 1: Conversion")
+        const result = await proxy.convert(
+            {
+                from: "markdown",
+                to: "html",
+                "input-files": ["in.md"],
+                "output-file": "out.html"
+            },
+            null,
+            {"in.md": new Blob(["# Worker"])}
+        )
+        const output = result.files["out.html"]
+        if (
+            !(output instanceof Blob) ||
+            !(await output.text()).includes("Worker")
+        ) {
+            throw new Error("Unexpected output file")
+        }
+        console.log("✓ Blobs are sent to and from the worker")
+
+        // Test 2: Failed conversions
+        console.log("\nTest 2: PandocError from the worker")
+        try {
+            await proxy.convert({from: "nosuch", to: "html"}, "text", {})
+            throw new Error("Unknown format was not rejected")
+        } catch (error) {
+            if (!(error instanceof PandocError) || error.exitCode !== 21) {
+                throw error
+            }
+        }
+        console.log("✓ Rejected with a PandocError")
+        try {
+            await proxy.convert(
+                {from: "markdown", to: "html"},
+                "text",
+                {},
+                {
+                    resolveFile: () => null
+                }
+            )
+            throw new Error("A function call option was not rejected")
+        } catch (error) {
+            if (!(error instanceof TypeError)) {
+                throw error
+            }
+        }
+        console.log("✓ Function call options are rejected")
+
+        // Test 3: Cancelling a running conversion restarts the worker
+        console.log("\nTest 3: Abort a running conversion")
+        try {
+            await proxy.convert(
+                {from: "markdown", to: "html", filters: ["loop.lua"]},
+                "# Never finishes",
+                {"loop.lua": "while true do end"},
+                {timeoutMs: 1000}
+            )
+            throw new Error("Runaway conversion did not time out")
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                throw error
+            }
+        }
+        const restarted = await proxy.convert(
+            {from: "markdown", to: "plain"},
+            "*restarted*",
+            {}
+        )
+        if (
+            workers.length !== 2 ||
+            !workers[0].terminated ||
+            restarted.stdout.trim() !== "restarted"
+        ) {
+            throw new Error("The worker was not replaced")
+        }
+        console.log("✓ The worker was replaced and later calls work")
+
+        // Test 4: Crashed workers are replaced
+        console.log("\nTest 4: Error event")
+        workers[1].crash()
+        const version = await proxy.query({query: "version"})
+        if (workers.length !== 3 || !workers[1].terminated) {
+            throw new Error("The crashed worker was not replaced")
+        }
+        console.log("✓ Pandoc", version, "runs in a new worker")
+    } finally {
+        await proxy.terminate()
+    }
+
+    // Test 5: Calls after terminate() are rejected
+    console.log("\nTest 5: Terminated worker")
+    try {
+        await proxy.query({query: "version"})
+        throw new Error("Call on a terminated worker did not fail")
+    } catch (error) {
+        if (!error.message.includes("terminated") || !workers[2].terminated) {
+            throw error
+        }
+        console.log("✓ Calls on a terminated worker are rejected")
+    }
+
+    console.log("\n✓ All worker tests completed successfully!")
+}
+
+runTests().catch(error => {
+    console.error("\n✗ Test failed with error:")
+    console.error(error)
+    process.exit(1)
+})